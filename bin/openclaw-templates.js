@@ -1,551 +1,637 @@
 #!/usr/bin/env node
 
-const fs = require('node:fs');
+const {
+  init,
+  pullAgents,
+  pruneAgents,
+  presets,
+  upgrade,
+  doctor,
+  build,
+  status,
+  stats,
+  lint,
+  checkLinks,
+  backups,
+  restore,
+  capture,
+  watch,
+  graph,
+  renderIncludeGraph,
+  whereUsed,
+  addIncludePack,
+  updateIncludePacks,
+  removeIncludePack,
+  listIncludePacks,
+  OpenclawTemplatesError,
+  UsageError,
+} = require('../lib');
 const path = require('node:path');
-const os = require('node:os');
+const readline = require('node:readline/promises');
 const { Command } = require('commander');
-const markdownIncludeModulePath = require.resolve('markdown-include');
-
-const OPENCLAW_DIR_ENV = 'OCLAWTPL_OPENCLAW';
-const TEMPLATES_DIR_ENV = 'OCLAWTPL_TEMPLATES';
+const { OPENCLAW_DIR_ENV, TEMPLATES_DIR_ENV } = require('../lib/paths');
+const { GRAPH_FORMATS } = require('../lib/graph');
+const { BACKUPS_DIR, KEEP_BACKUPS_ENV, DEFAULT_KEEP_BACKUPS } = require('../lib/backups');
+const { MAX_AGENT_TOKENS_ENV, MAX_FILE_TOKENS_ENV, formatBudgetViolation } = require('../lib/budget');
+const { LINT_RULES, parseRuleOptions } = require('../lib/lint');
+const { formatBrokenLink } = require('../lib/links');
+const { PACKS_LOCK_FILE } = require('../lib/packs');
 
 function printUsage() {
   console.log('Usage:');
-  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] init [--force]');
-  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] pull-agents');
-  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] doctor');
   console.log(
-    '  openclaw-templates [--openclaw <path>] [--templates <path>] build [workspace] [--overwrite] [--wipe] [--force]',
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] init [--force] [--preset <[agent=]name>] [--git] [--from-workspace]',
+  );
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] pull-agents [--preset <[agent=]name>]');
+  console.log(
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] prune-agents [--archive | --delete [--yes]] [--no-rename]',
+  );
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] presets');
+  console.log(
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] upgrade [--dry-run] [--accept <ours|theirs>]',
+  );
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] doctor [--fix]');
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] capture [workspace] [--apply] [--shared]');
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] status [workspace]');
+  console.log(
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] watch [workspace] [--overwrite] [--force]',
+  );
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] graph [workspace] [--format <format>]');
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] where-used <include>');
+  console.log(
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] includes add <source> [--name <name>] [--force]',
+  );
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] includes update [name...] [--force]');
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] includes remove <name>');
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] includes list');
+  console.log(
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] build [workspace] [--overwrite] [--wipe] [--force] [--dry-run] [--keep-backups <count>] [--commit [--allow-dirty]] [--max-file-tokens <n>] [--max-agent-tokens <n>]',
+  );
+  console.log(
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] stats [workspace] [--max-file-tokens <n>] [--max-agent-tokens <n>]',
+  );
+  console.log(
+    '  openclaw-templates [--openclaw <path>] [--templates <path>] lint [workspace] [--rule <rule>=<severity>]',
   );
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] check-links [workspace] [--copy-assets]');
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] backups [agent]');
+  console.log('  openclaw-templates [--openclaw <path>] [--templates <path>] restore <agent> [snapshot]');
+  console.log('');
+  console.log('Output options (before or after the command): --json, --quiet, --verbose');
 }
 
-function normalizeOptionalPath(pathOption, homeDir) {
-  if (typeof pathOption !== 'string' || pathOption.trim() === '') {
-    return undefined;
+// Text goes through `out` so --quiet, --verbose and --json can silence or extend it in one place.
+function createOutput(options) {
+  if (options.quiet && options.verbose) {
+    throw new UsageError('Options --quiet and --verbose cannot be used together.');
   }
 
-  const trimmed = pathOption.trim();
-  if (trimmed === '~') {
-    return homeDir;
-  }
-  if (/^~[\\/]/.test(trimmed)) {
-    return path.resolve(path.join(homeDir, trimmed.slice(2)));
-  }
-
-  return path.resolve(trimmed);
+  const json = Boolean(options.json);
+  const text = !json;
+  const info = text && !options.quiet;
+  const noop = () => {};
+  return {
+    json,
+    log: info ? (message) => console.log(message) : noop,
+    write: info ? (chunk) => process.stdout.write(chunk) : noop,
+    verbose: info && options.verbose ? (message) => console.log(message) : noop,
+    warn: info ? (message) => console.error(message) : noop,
+    error: text ? (message) => console.error(message) : noop,
+  };
 }
 
-function resolvePathOption(pathOption, envVarName, defaultPath, homeDir) {
-  const explicitPath = normalizeOptionalPath(pathOption, homeDir);
-  if (explicitPath) {
-    return explicitPath;
+function serializeError(error) {
+  const serialized = { name: error.name, code: error.code, message: error.message };
+  if (error.hint) {
+    serialized.hint = error.hint;
   }
-
-  const envPath = normalizeOptionalPath(process.env[envVarName], homeDir);
-  if (envPath) {
-    return envPath;
+  if (error.filePath) {
+    serialized.filePath = error.filePath;
   }
-
-  return defaultPath;
+  if (error.files) {
+    serialized.files = error.files;
+  }
+  if (error.violations) {
+    serialized.violations = error.violations;
+  }
+  return serialized;
 }
 
-function resolveOpenclawDir(openclawDirOption, homeDir) {
-  return resolvePathOption(openclawDirOption, OPENCLAW_DIR_ENV, path.join(homeDir, '.openclaw'), homeDir);
+function report(out, result, print) {
+  print(result, out);
+  if (out.json) {
+    console.log(JSON.stringify(result, null, 2));
+  }
 }
 
-function resolveTemplateDir(templateDirOption, homeDir) {
-  return resolvePathOption(templateDirOption, TEMPLATES_DIR_ENV, path.join(homeDir, '.openclaw-templates'), homeDir);
+function printWarnings(warnings, out) {
+  for (const warning of warnings || []) {
+    out.warn(`Warning: ${warning}`);
+  }
 }
 
-function getInitPaths(openclawDirOption, templateDirOption) {
-  const homeDir = os.homedir();
-  const openclawDir = resolveOpenclawDir(openclawDirOption, homeDir);
-  const targetDir = resolveTemplateDir(templateDirOption, homeDir);
-  const templatesRoot = path.resolve(__dirname, '..', 'templates');
-  return {
-    homeDir,
-    openclawDir,
-    targetDir,
-    openclawConfigPath: path.join(openclawDir, 'openclaw.json'),
-    templatesRoot,
-    baseTemplatesDir: path.join(templatesRoot, '.base'),
-    includesTemplatesDir: path.join(templatesRoot, '.includes'),
-  };
+function printInit(result, out) {
+  printWarnings(result.warnings, out);
+  for (const agent of result.agents) {
+    out.verbose(`  ${agent.id} (${agent.preset}) -> ${agent.directory}`);
+  }
+  for (const agent of (result.adopted || []).filter((adopted) => adopted.files.length > 0)) {
+    for (const file of agent.files) {
+      const includes = file.includes.length + file.shared.length;
+      out.verbose(`  adopted ${agent.id}: ${file.path} (${includes} include(s), ${file.inlineLines} inline line(s))`);
+    }
+    out.log(`Adopted ${agent.files.length} file(s) for ${agent.id} from ${agent.workspace}`);
+  }
+  for (const include of result.sharedIncludes || []) {
+    out.log(`Extracted shared section ${include}`);
+  }
+  out.log(`Initialized ${result.templatesDir}`);
+  if (result.git) {
+    const commit = result.git.commit ? ` (commit ${result.git.commit.slice(0, 7)})` : '';
+    out.log(`${result.git.initialized ? 'Created' : 'Updated'} git repository in ${result.templatesDir}${commit}`);
+  }
 }
 
-function normalizeWorkspace(workspace) {
-  return workspace.replace(/[\\/]+$/, '');
+function printPullAgents(result, out) {
+  printWarnings(result.warnings, out);
+  for (const agent of result.added) {
+    out.verbose(`  added ${agent.id} (${agent.preset}) -> ${agent.directory}`);
+  }
+  for (const agentId of result.existing) {
+    out.verbose(`  kept ${agentId}`);
+  }
+  const count = result.added.length;
+  out.log(`Updated ${result.templatesDir}; added ${count} agent template director${count === 1 ? 'y' : 'ies'}.`);
 }
 
-function toAbsoluteWorkspace(workspace, openclawDir) {
-  if (path.isAbsolute(workspace)) {
-    return workspace;
+function printPruneAgents(result, out) {
+  printWarnings(result.warnings, out);
+  for (const rename of result.renames) {
+    const status = rename.applied ? 'renamed' : 'likely renamed';
+    out.log(`${rename.from} -> ${rename.to}: ${status} (same workspace ${rename.workspace})`);
+  }
+  for (const orphan of result.orphans) {
+    if (orphan.action === 'archived') {
+      out.log(`${orphan.name}: archived to ${path.relative(result.templatesDir, orphan.archivedTo)}`);
+    } else if (orphan.action === 'deleted') {
+      out.log(`${orphan.name}: deleted`);
+    } else {
+      out.log(`${orphan.name}: no matching agent`);
+    }
   }
 
-  return path.resolve(path.join(openclawDir, workspace));
+  const renamed = result.renames.filter((rename) => rename.applied).length;
+  const pruned = result.orphans.filter((orphan) => orphan.action !== 'kept').length;
+  if (result.orphans.length === 0 && result.renames.length === 0) {
+    out.log(`No orphaned template directories in ${result.templatesDir}.`);
+  } else if (result.cancelled) {
+    out.log('Cancelled; nothing was changed.');
+  } else if (pruned === 0 && renamed === 0) {
+    out.log(
+      `${result.orphans.length} orphaned template dir(s), ${result.renames.length} likely rename(s). Re-run with --archive or --delete to prune them.`,
+    );
+  } else {
+    out.log(`Pruned ${pruned} template dir(s) and moved ${renamed} renamed agent(s) in ${result.templatesDir}.`);
+  }
 }
 
-function parseOpenclawConfig(openclawConfigPath) {
-  if (!fs.existsSync(openclawConfigPath)) {
-    console.error(`Config file not found: ${openclawConfigPath}`);
-    process.exit(1);
+async function confirmDelete(orphans, yes) {
+  if (yes) {
+    return true;
   }
-
-  let parsed;
-  try {
-    parsed = JSON.parse(fs.readFileSync(openclawConfigPath, 'utf8'));
-  } catch (error) {
-    console.error(`Failed to parse JSON in ${openclawConfigPath}: ${error.message}`);
-    process.exit(1);
+  if (!process.stdin.isTTY) {
+    throw new UsageError(`Refusing to delete ${orphans.length} template dir(s) without confirmation.`, {
+      hint: 'Re-run with --yes, or use --archive to keep a copy.',
+    });
   }
 
-  const list = parsed && parsed.agents && parsed.agents.list;
-  if (!Array.isArray(list)) {
-    console.error(`Invalid config format in ${openclawConfigPath}: expected .agents.list array`);
-    process.exit(1);
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const names = orphans.map((orphan) => orphan.name).join(', ');
+    const answer = await prompt.question(`Delete ${orphans.length} template dir(s) (${names})? [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
   }
-
-  return parsed;
 }
 
-function getAgentId(agent) {
-  return typeof agent.id === 'string' && agent.id.trim() !== '' ? agent.id.trim() : undefined;
+function printPresets(result, out) {
+  for (const preset of result.presets) {
+    out.log(`${preset.name} (${preset.source}): ${preset.files.join(', ')}`);
+  }
 }
 
-function getAgentEntries(openclawConfigPath, openclawDir) {
-  const parsed = parseOpenclawConfig(openclawConfigPath);
-  const list = parsed.agents.list;
-  const defaultsWorkspace =
-    parsed &&
-    parsed.agents &&
-    parsed.agents.defaults &&
-    typeof parsed.agents.defaults.workspace === 'string'
-      ? parsed.agents.defaults.workspace
-      : path.join(openclawDir, 'workspace');
-  const entries = [];
-  const seenWorkspaces = new Set();
-  const seenIds = new Set();
-  const workspaceToAgentId = new Map();
-
-  for (const agent of list) {
-    if (!agent || typeof agent !== 'object') {
-      continue;
+function printUpgrade(result, out) {
+  for (const file of result.files) {
+    out.log(`${file.status.padEnd(15)} ${file.path}`);
+  }
+  const fromVersion = result.fromVersion || 'an unrecorded version';
+  const summary = [
+    `${result.counts.added} added`,
+    `${result.counts.updated} updated`,
+    `${result.counts.merged} merged`,
+    `${result.counts.conflict} conflict(s)`,
+  ].join(', ');
+  const noBaselineHint =
+    'Run `openclaw-templates init --force` to start over from the shipped templates, or re-run upgrade with ' +
+    '`--accept theirs` (take the shipped files) or `--accept ours` (keep yours).';
+
+  if (result.dryRun) {
+    out.log(`Dry run: upgrade from ${fromVersion} to ${result.toVersion} would apply ${summary}.`);
+    if (result.counts['no-baseline'] > 0) {
+      out.error(`No upstream baseline for ${result.counts['no-baseline']} customized file(s). ${noBaselineHint}`);
     }
-
-    const agentId = getAgentId(agent);
-    if (!agentId) {
-      continue;
+    if (result.pendingChanges > 0) {
+      process.exitCode = 2;
     }
+    return;
+  }
 
-    const rawWorkspace =
-      typeof agent.workspace === 'string' && agent.workspace.trim() !== ''
-        ? agent.workspace
-        : agentId === 'main'
-          ? defaultsWorkspace
-          : undefined;
-    if (typeof rawWorkspace !== 'string' || rawWorkspace.trim() === '') {
-      continue;
+  out.log(`Upgraded ${result.templatesDir} from ${fromVersion} to ${result.toVersion}: ${summary}.`);
+  if (result.counts.conflict > 0) {
+    out.error('Resolve the conflict markers (<<<<<<< local / >>>>>>> upstream) in the files listed above.');
+    process.exitCode = 1;
+  }
+  if (result.counts['no-baseline'] > 0) {
+    out.error(
+      `No upstream baseline for ${result.counts['no-baseline']} customized file(s); they were left unchanged. ${noBaselineHint}`,
+    );
+    process.exitCode = 1;
+  }
+}
+
+function printDoctor(result, out) {
+  const errors = result.checks.flatMap((check) => check.problems).filter((p) => p.severity === 'error' && !p.fixed);
+  out.log(result.ok ? 'Doctor checks passed' : `Doctor checks failed: ${errors.length} error(s)`);
+  out.log(`Config: ${result.openclawConfigPath}`);
+  out.log(`Agents found: ${result.agents.length}`);
+  out.log(`Entrypoint templates (.base): ${result.entrypointTemplates.length}`);
+  if (result.skippedAgentEntries > 0) {
+    out.log(`Skipped invalid workspace entries: ${result.skippedAgentEntries}`);
+  }
+  for (const agentId of result.agents) {
+    out.verbose(`  agent ${agentId}`);
+  }
+  for (const fileName of result.entrypointTemplates) {
+    out.verbose(`  entrypoint ${fileName}`);
+  }
+  if (result.ignoredFiles.length > 0) {
+    out.log(`Ignored template files: ${result.ignoredFiles.length}`);
+    for (const file of result.ignoredFiles) {
+      out.log(`  ${file.path} (${file.rule}: ${file.pattern})`);
     }
+  }
 
-    const normalizedWorkspace = normalizeWorkspace(rawWorkspace);
-    const absoluteWorkspace = toAbsoluteWorkspace(normalizedWorkspace, openclawDir);
-    if (seenIds.has(agentId)) {
-      console.error(`Duplicate agent id in ${openclawConfigPath}: ${agentId}`);
-      process.exit(1);
+  for (const check of result.checks) {
+    out.verbose(`${check.status.padEnd(8)} ${check.title}`);
+    if (check.message) {
+      out.log(`${check.title}: ${check.message}`);
     }
-    if (workspaceToAgentId.has(absoluteWorkspace)) {
-      console.error(
-        `Duplicate workspace in ${openclawConfigPath}: ${absoluteWorkspace} (agents: ${workspaceToAgentId.get(absoluteWorkspace)}, ${agentId})`,
-      );
-      process.exit(1);
+    for (const problem of check.problems) {
+      const suffix = problem.fixed ? ' (fixed)' : problem.fixable ? ' (repair with --fix)' : '';
+      out.log(`  ${problem.severity}: ${problem.message}${suffix}`);
     }
-
-    seenWorkspaces.add(absoluteWorkspace);
-    seenIds.add(agentId);
-    workspaceToAgentId.set(absoluteWorkspace, agentId);
-    entries.push({
-      name: agentId,
-      id: agentId,
-      workspace: absoluteWorkspace,
-    });
   }
-
-  const absoluteDefaultsWorkspace = toAbsoluteWorkspace(normalizeWorkspace(defaultsWorkspace), openclawDir);
-  if (!seenWorkspaces.has(absoluteDefaultsWorkspace) && !seenIds.has('main')) {
-    seenWorkspaces.add(absoluteDefaultsWorkspace);
-    seenIds.add('main');
-    entries.push({
-      name: 'main',
-      id: 'main',
-      workspace: absoluteDefaultsWorkspace,
-    });
+  for (const message of result.fixed) {
+    out.log(`Fixed: ${message}`);
   }
-
-  if (entries.length === 0) {
-    console.error(`No valid agent workspaces found in ${openclawConfigPath}`);
-    process.exit(1);
+  if (!result.ok) {
+    process.exitCode = 1;
   }
-
-  return entries;
-}
-
-function getAgentNames(openclawConfigPath, openclawDir) {
-  return getAgentEntries(openclawConfigPath, openclawDir).map((entry) => entry.name);
 }
 
-function getEntrypointTemplateFiles(baseTemplatesDir) {
-  if (!fs.existsSync(baseTemplatesDir)) {
-    console.error(`Base templates directory not found: ${baseTemplatesDir}`);
-    process.exit(1);
+function printBuild(result, out) {
+  printWarnings(result.warnings, out);
+  const brokenLinks = result.workspaces.flatMap((workspace) =>
+    workspace.brokenLinks.map((link) => `${workspace.id}: ${formatBrokenLink(link)}`),
+  );
+  printWarnings(brokenLinks, out);
+  if (brokenLinks.length > 0) {
+    out.warn('Run `openclaw-templates check-links --copy-assets` to copy missing assets from the templates.');
+  }
+  if (!result.dryRun) {
+    for (const workspace of result.workspaces) {
+      for (const file of workspace.files) {
+        out.verbose(`  ${file.action.padEnd(9)} ${workspace.id}: ${file.path}`);
+      }
+      for (const file of workspace.wiped) {
+        out.verbose(`  ${'wiped'.padEnd(9)} ${workspace.id}: ${file}`);
+      }
+      if (workspace.backup) {
+        out.verbose(`  ${'backup'.padEnd(9)} ${workspace.id}: ${BACKUPS_DIR}/${workspace.id}/${workspace.backup}`);
+      }
+      if (workspace.commit) {
+        out.verbose(`  ${'commit'.padEnd(9)} ${workspace.id}: ${workspace.commit.slice(0, 7)}`);
+      }
+    }
+    out.log(
+      `Built ${result.totals.written} files across ${result.workspaces.length} workspace(s); skipped ${result.totals.skipped}.`,
+    );
+    const committed = result.workspaces.filter((workspace) => workspace.commit).length;
+    if (committed > 0) {
+      out.log(`Committed the build in ${committed} workspace repository(s).`);
+    }
+    const backedUp = result.workspaces.filter((workspace) => workspace.backup).length;
+    if (backedUp > 0) {
+      out.log(
+        `Backed up replaced files for ${backedUp} workspace(s); undo with \`openclaw-templates restore <agent>\`.`,
+      );
+    }
+    return;
   }
 
-  const entrypointTemplateFiles = fs
-    .readdirSync(baseTemplatesDir, { withFileTypes: true })
-    .filter((entry) => entry.isFile() && entry.name.endsWith('.md'))
-    .map((entry) => entry.name);
-
-  if (entrypointTemplateFiles.length === 0) {
-    console.error(`No entrypoint template files found in ${baseTemplatesDir}`);
-    process.exit(1);
+  for (const workspace of result.workspaces) {
+    const { counts } = workspace;
+    out.log(`=== ${workspace.id} (${workspace.workspace})`);
+    out.write(workspace.diff);
+    for (const file of workspace.drifted) {
+      out.log(`Drifted since last build (not overwritten without --overwrite): ${file}`);
+    }
+    out.log(
+      `${workspace.id}: ${counts.created} created, ${counts.modified} modified, ${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.wiped} wiped, ${counts.drifted} drifted`,
+    );
+  }
+
+  // The real build refuses to run over drifted files, so neither does the preview pass.
+  if (result.totals.drifted > 0) {
+    out.log(
+      `Dry run: ${result.totals.pendingChanges} pending change(s), but the build would fail on ${result.totals.drifted} drifted file(s) across ${result.workspaces.length} workspace(s).`,
+    );
+    out.log('Use --overwrite to replace them, or `openclaw-templates capture` to keep the changes.');
+    process.exitCode = 1;
+    return;
   }
-
-  return entrypointTemplateFiles;
-}
-
-function assertIncludesTemplatesDir(includesTemplatesDir) {
-  if (!fs.existsSync(includesTemplatesDir)) {
-    console.error(`Includes templates directory not found: ${includesTemplatesDir}`);
-    process.exit(1);
+  if (result.totals.pendingChanges > 0) {
+    out.log(
+      `Dry run: ${result.totals.pendingChanges} pending change(s) across ${result.workspaces.length} workspace(s).`,
+    );
+    process.exitCode = 2;
+    return;
   }
+  out.log(`Dry run: no changes across ${result.workspaces.length} workspace(s).`);
 }
 
-function initCommand(force, openclawDirOption, templateDirOption) {
-  const { openclawDir, targetDir, baseTemplatesDir, includesTemplatesDir, openclawConfigPath } =
-    getInitPaths(openclawDirOption, templateDirOption);
-  const agentNames = getAgentNames(openclawConfigPath, openclawDir);
-  const entrypointTemplateFiles = getEntrypointTemplateFiles(baseTemplatesDir);
-  assertIncludesTemplatesDir(includesTemplatesDir);
-
-  if (fs.existsSync(targetDir)) {
-    if (!force) {
-      console.error(`Directory already exists: ${targetDir}`);
-      console.error('Use --force to overwrite it.');
-      process.exit(1);
+function printStats(result, out) {
+  printWarnings(result.warnings, out);
+  for (const agent of result.agents) {
+    out.log(`=== ${agent.id} (${agent.workspace})`);
+    const width = Math.max(5, ...agent.files.map((file) => file.path.length));
+    const row = (label, size) =>
+      `  ${label.padEnd(width)} ${String(size.characters).padStart(7)} chars ${String(size.lines).padStart(5)} lines ${`~${size.tokens}`.padStart(7)} tokens`;
+    for (const file of agent.files) {
+      out.log(row(file.path, file));
+      for (const include of file.includes) {
+        out.verbose(`    ${include.file} ~${include.tokens} tokens`);
+      }
     }
-
-    fs.rmSync(targetDir, { recursive: true, force: true });
-  }
-
-  fs.mkdirSync(targetDir, { recursive: true });
-  fs.cpSync(includesTemplatesDir, path.join(targetDir, '.includes'), { recursive: true });
-
-  for (const agentName of agentNames) {
-    const agentTargetDir = path.join(targetDir, agentName);
-    fs.mkdirSync(agentTargetDir, { recursive: true });
-
-    for (const fileName of entrypointTemplateFiles) {
-      fs.copyFileSync(path.join(baseTemplatesDir, fileName), path.join(agentTargetDir, fileName));
+    out.log(row('total', agent.totals));
+    if (agent.includes.length > 0) {
+      out.log('  largest includes:');
+      agent.includes.forEach((include, index) => {
+        // The five largest are always shown; --verbose lists the rest.
+        const print = index < 5 ? out.log : out.verbose;
+        print(`    ${`~${include.tokens}`.padStart(7)} tokens  ${include.file}`);
+      });
     }
   }
 
-  console.log(`Initialized ${targetDir}`);
+  for (const violation of result.violations) {
+    out.error(`error: ${formatBudgetViolation(violation)}`);
+  }
+  if (!result.ok) {
+    process.exitCode = 1;
+  }
 }
 
-function updateCommand(openclawDirOption, templateDirOption) {
-  const { openclawDir, targetDir, baseTemplatesDir, includesTemplatesDir, openclawConfigPath } =
-    getInitPaths(openclawDirOption, templateDirOption);
-  const agentNames = getAgentNames(openclawConfigPath, openclawDir);
-  const entrypointTemplateFiles = getEntrypointTemplateFiles(baseTemplatesDir);
-  assertIncludesTemplatesDir(includesTemplatesDir);
-
-  if (!fs.existsSync(targetDir) || !fs.statSync(targetDir).isDirectory()) {
-    console.error(`Templates directory not found: ${targetDir}`);
-    console.error('Run `openclaw-templates init` first.');
-    process.exit(1);
+function printLint(result, out) {
+  printWarnings(result.warnings, out);
+  for (const finding of result.findings) {
+    out.log(
+      `${finding.agent}/${finding.file}:${finding.line}: ${finding.severity} ${finding.rule}: ${finding.message} (from ${finding.source})`,
+    );
   }
 
-  const targetIncludesDir = path.join(targetDir, '.includes');
-  if (!fs.existsSync(targetIncludesDir)) {
-    fs.cpSync(includesTemplatesDir, targetIncludesDir, { recursive: true });
+  const agents = `${result.agents.length} agent(s)`;
+  if (result.findings.length === 0) {
+    out.log(`Lint passed for ${agents}.`);
+    return;
   }
+  out.log(`Lint found ${result.counts.error} error(s) and ${result.counts.warning} warning(s) across ${agents}.`);
+  if (!result.ok) {
+    process.exitCode = 1;
+  }
+}
 
-  let addedAgents = 0;
-  for (const agentName of agentNames) {
-    const agentTargetDir = path.join(targetDir, agentName);
-
-    if (fs.existsSync(agentTargetDir)) {
-      if (!fs.statSync(agentTargetDir).isDirectory()) {
-        console.error(`Agent template path exists but is not a directory: ${agentTargetDir}`);
-        process.exit(1);
+function printCheckLinks(result, out) {
+  printWarnings(result.warnings, out);
+  for (const agent of result.agents) {
+    for (const link of agent.broken) {
+      const location = `${agent.id}/${link.file}:${link.line}`;
+      if (link.copied) {
+        out.log(`${location}: copied ${link.asset} to ${link.path}`);
+        continue;
       }
-      continue;
-    }
-
-    fs.mkdirSync(agentTargetDir, { recursive: true });
-    for (const fileName of entrypointTemplateFiles) {
-      fs.copyFileSync(path.join(baseTemplatesDir, fileName), path.join(agentTargetDir, fileName));
+      const reason = link.outside ? 'points outside the workspace' : 'not found in the workspace';
+      const asset = link.asset ? `; copy it from ${link.asset} with --copy-assets` : '';
+      out.log(`${location}: ${link.target} ${reason} (from ${link.source})${asset}`);
     }
-    addedAgents += 1;
   }
 
-  console.log(`Updated ${targetDir}; added ${addedAgents} agent template director${addedAgents === 1 ? 'y' : 'ies'}.`);
+  const agents = `${result.agents.length} agent(s)`;
+  const copied = result.counts.copied > 0 ? ` Copied ${result.counts.copied} asset(s).` : '';
+  if (result.ok) {
+    out.log(`All ${result.counts.checked} link(s) resolve across ${agents}.${copied}`);
+    return;
+  }
+  out.log(`Found ${result.counts.broken} broken link(s) out of ${result.counts.checked} across ${agents}.${copied}`);
+  process.exitCode = 1;
 }
 
-function compileMarkdownFile(sourceFilePath) {
-  const sourceDir = path.dirname(sourceFilePath);
-  const sourceFileName = path.basename(sourceFilePath);
-  const previousCwd = process.cwd();
+function printBackups(result, out) {
+  if (result.agents.length === 0) {
+    out.log(`No backups in ${path.join(result.templatesDir, BACKUPS_DIR)}.`);
+    return;
+  }
 
-  try {
-    process.chdir(sourceDir);
-    delete require.cache[markdownIncludeModulePath];
-    const markdownInclude = require('markdown-include');
-    markdownInclude.processFile(sourceFileName);
-    const compiled = markdownInclude.build[sourceFileName] && markdownInclude.build[sourceFileName].parsedData;
-
-    if (typeof compiled !== 'string') {
-      throw new Error('missing compiled output');
+  for (const agent of result.agents) {
+    out.log(`=== ${agent.id}`);
+    for (const snapshot of agent.snapshots) {
+      out.log(
+        `  ${snapshot.id}  ${snapshot.reason.padEnd(9)} ${snapshot.files.length} file(s) saved, ${snapshot.created.length} created by the build`,
+      );
+      out.verbose(`    workspace: ${snapshot.workspace}`);
     }
+  }
+}
 
-    return compiled;
-  } finally {
-    process.chdir(previousCwd);
+function printRestore(result, out) {
+  for (const file of result.restored) {
+    out.verbose(`  restored ${file}`);
   }
+  for (const file of result.removed) {
+    out.verbose(`  removed  ${file}`);
+  }
+  out.log(
+    `Restored ${result.workspace} from backup ${result.snapshot}: ${result.restored.length} file(s) restored, ${result.removed.length} removed.`,
+  );
 }
 
-function hasActiveIncludeTags(sourceFilePath) {
-  const rawData = fs.readFileSync(sourceFilePath, 'utf8');
-  const markdownInclude = require('markdown-include');
-  return markdownInclude.findIncludeTags(rawData).length > 0;
+function formatPackVersion(version, commit) {
+  return version || (commit ? commit.slice(0, 7) : 'unversioned');
 }
 
-function listFilesRecursive(rootDir) {
-  const files = [];
+function printIncludePackAdd(result, out) {
+  for (const file of result.files) {
+    out.verbose(`  added ${file}`);
+  }
+  out.log(
+    `Installed @${result.name} ${formatPackVersion(result.version, result.commit)} (${result.files.length} file(s)) into ${result.directory}.`,
+  );
+  out.log(`Include its fragments with #include "../.includes/@${result.name}/<file>".`);
+}
 
-  function walk(currentDir, relativeDir) {
-    const entries = fs
-      .readdirSync(currentDir, { withFileTypes: true })
-      .sort((a, b) => a.name.localeCompare(b.name));
-    for (const entry of entries) {
-      const absolutePath = path.join(currentDir, entry.name);
-      const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
+function printIncludePackUpdate(result, out) {
+  if (result.packs.length === 0) {
+    out.log(`No include packs in ${path.join(result.templatesDir, PACKS_LOCK_FILE)}.`);
+    return;
+  }
 
-      if (entry.isDirectory()) {
-        walk(absolutePath, relativePath);
-      } else if (entry.isFile()) {
-        files.push({
-          absolutePath,
-          relativePath,
-        });
-      }
-    }
+  for (const pack of result.packs) {
+    const from = formatPackVersion(pack.previousVersion, pack.previousCommit);
+    const to = formatPackVersion(pack.version, pack.commit);
+    out.log(`  ${pack.status.padEnd(9)} @${pack.name} ${pack.status === 'updated' ? `${from} -> ${to}` : to}`);
   }
+  const changed = result.packs.filter((pack) => pack.status !== 'unchanged').length;
+  out.log(`Updated ${changed} of ${result.packs.length} include pack(s).`);
+}
 
-  walk(rootDir, '');
-  return files;
+function printIncludePackRemove(result, out) {
+  printWarnings(result.warnings, out);
+  out.log(`Removed @${result.name} from ${result.directory}.`);
 }
 
-function clearDirectoryContents(dirPath) {
-  if (!fs.existsSync(dirPath)) {
+function printIncludePacks(result, out) {
+  if (result.packs.length === 0) {
+    out.log(`No include packs in ${path.join(result.templatesDir, PACKS_LOCK_FILE)}.`);
     return;
   }
 
-  if (!fs.statSync(dirPath).isDirectory()) {
-    console.error(`Workspace path is not a directory: ${dirPath}`);
-    process.exit(1);
+  for (const pack of result.packs) {
+    const source = pack.ref ? `${pack.source}#${pack.ref}` : pack.source;
+    out.log(`  @${pack.name} ${formatPackVersion(pack.version, pack.commit)}  ${source}  (${pack.status})`);
   }
+}
 
-  const entries = fs.readdirSync(dirPath);
-  for (const entry of entries) {
-    if (entry === '.git') {
-      continue;
-    }
-    fs.rmSync(path.join(dirPath, entry), { recursive: true, force: true });
-  }
-}
-
-function pathTouchesGitMetadata(relativePath) {
-  const normalized = relativePath.replace(/\\/g, '/');
-  const segments = normalized.split('/').filter(Boolean);
-  return segments.includes('.git');
-}
-
-function isChildPath(parentDir, childDir) {
-  const resolvedParent = path.resolve(parentDir);
-  const resolvedChild = path.resolve(childDir);
-  const relativePath = path.relative(resolvedParent, resolvedChild);
-  return relativePath !== '' && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
-}
-
-function selectBuildTargets(
-  agentEntries,
-  workspaceArg,
-  openclawDir,
-  allowExternalWorkspacePath,
-  openclawConfigPath,
-) {
-  if (!workspaceArg) {
-    return agentEntries;
-  }
-
-  const normalizedArg = normalizeWorkspace(workspaceArg);
-  const isWorkspacePathSelector =
-    path.isAbsolute(workspaceArg) ||
-    workspaceArg.includes('/') ||
-    workspaceArg.includes('\\\\') ||
-    workspaceArg.startsWith('.');
-  const exactWorkspaceMatches = agentEntries.filter((entry) => normalizeWorkspace(entry.workspace) === normalizedArg);
-  if (exactWorkspaceMatches.length > 0) {
-    if (isWorkspacePathSelector && !allowExternalWorkspacePath) {
-      const openclawRoot = openclawDir;
-      for (const entry of exactWorkspaceMatches) {
-        if (!isChildPath(openclawRoot, entry.workspace)) {
-          console.error(`Refusing to target workspace outside ${openclawRoot}: ${entry.workspace}`);
-          console.error(`Use --force to allow building to workspace paths outside ${openclawRoot}.`);
-          process.exit(1);
-        }
-      }
+function printStatus(result, out) {
+  printWarnings(result.warnings, out);
+  for (const workspace of result.workspaces) {
+    const { counts } = workspace;
+    out.log(`=== ${workspace.id} (${workspace.workspace})`);
+    for (const file of workspace.files) {
+      out.log(`  ${file.status.padEnd(8)} ${file.path}`);
     }
-    return exactWorkspaceMatches;
+    out.log(
+      `${workspace.id}: ${counts['in-sync']} in-sync, ${counts.stale} stale, ${counts.drifted} drifted, ${counts.missing} missing`,
+    );
   }
+}
 
-  const nameMatches = agentEntries.filter((entry) => entry.id === normalizedArg);
-  if (nameMatches.length === 1) {
-    return nameMatches;
+function printCapture(result, out) {
+  printWarnings(result.warnings, out);
+  for (const workspace of result.workspaces) {
+    out.log(`=== ${workspace.id} (${workspace.workspace})`);
+    for (const file of workspace.files) {
+      out.write(file.diff);
+      for (const target of file.targets) {
+        const from = target.outputLine === undefined ? file.path : `${file.path}:${target.outputLine}`;
+        const to = target.line === undefined ? target.target : `${target.target}:${target.line}`;
+        const override = target.overriding ? ` (overriding ${target.overriding})` : '';
+        out.log(`  ${from} -> ${to}${override}`);
+      }
+    }
   }
 
-  if (nameMatches.length > 1) {
-    console.error(`Agent id is ambiguous: ${workspaceArg}.`);
-    console.error(`Use an exact workspace path from ${openclawConfigPath}.`);
-    process.exit(1);
+  if (result.divergedFiles === 0) {
+    out.log(`No workspace changes to capture across ${result.workspaceCount} workspace(s).`);
+    return;
   }
 
-  console.error(`Agent id or workspace path not found in ${openclawConfigPath}: ${workspaceArg}`);
-  process.exit(1);
-}
-
-function buildCommand(
-  allowNonIncludeOverwrite,
-  wipeWorkspaces,
-  workspaceArg,
-  allowExternalWorkspacePath,
-  openclawDirOption,
-  templateDirOption,
-) {
-  const { openclawDir, targetDir, openclawConfigPath } = getInitPaths(openclawDirOption, templateDirOption);
-  const agentEntries = selectBuildTargets(
-    getAgentEntries(openclawConfigPath, openclawDir),
-    workspaceArg,
-    openclawDir,
-    allowExternalWorkspacePath,
-    openclawConfigPath,
-  );
-  const includesDir = path.join(targetDir, '.includes');
-
-  if (!fs.existsSync(targetDir)) {
-    console.error(`Includes directory not found: ${targetDir}`);
-    console.error('Run `openclaw-templates init` first.');
-    process.exit(1);
+  if (result.problems.length > 0) {
+    for (const problem of result.problems) {
+      out.error(`Cannot capture ${problem}`);
+    }
+    out.error('Update the templates for these changes by hand; nothing was written.');
+    process.exitCode = 1;
+    return;
   }
 
-  if (!fs.existsSync(includesDir) || !fs.statSync(includesDir).isDirectory()) {
-    console.error(`Shared includes directory not found: ${includesDir}`);
-    console.error('Run `openclaw-templates init --force` to regenerate templates.');
-    process.exit(1);
+  if (!result.applied) {
+    out.log(`${result.divergedFiles} diverged file(s). Re-run with --apply to write them back into templates.`);
+    return;
   }
 
-  let totalFiles = 0;
-  let skippedFiles = 0;
+  out.log(`Captured ${result.divergedFiles} diverged file(s) into ${result.templatesWritten.length} template file(s).`);
+}
 
-  for (const entry of agentEntries) {
-    const agentTemplatesDir = path.join(targetDir, entry.name);
-    if (!fs.existsSync(agentTemplatesDir) || !fs.statSync(agentTemplatesDir).isDirectory()) {
-      console.error(`Template directory not found for agent ${entry.name}: ${agentTemplatesDir}`);
-      console.error('Run `openclaw-templates init --force` to regenerate templates.');
-      process.exit(1);
-    }
+function printGraph(result, out, format) {
+  printWarnings(result.warnings, out);
+  out.log(renderIncludeGraph(result, format));
+}
 
-    const templateFiles = listFilesRecursive(agentTemplatesDir);
-    if (templateFiles.length === 0) {
-      console.error(`No template files found in ${agentTemplatesDir}`);
-      process.exit(1);
-    }
+function printWhereUsed(result, out) {
+  printWarnings(result.warnings, out);
+  if (result.usages.length === 0) {
+    out.log(`${result.include} is not used by any agent.`);
+    return;
+  }
 
-    fs.mkdirSync(entry.workspace, { recursive: true });
-    if (wipeWorkspaces) {
-      clearDirectoryContents(entry.workspace);
-    }
+  out.log(`${result.include} is used by ${result.agentIds.length} agent(s):`);
+  for (const { agentId, chain } of result.usages) {
+    out.log(`  ${agentId}: ${chain.map((step) => `${step.file}:${step.line}`).join(' -> ')}`);
+  }
+}
 
-    for (const file of templateFiles) {
-      if (pathTouchesGitMetadata(file.relativePath)) {
-        skippedFiles += 1;
-        continue;
-      }
+// With --json, watch prints one JSON object per event line (NDJSON) instead of a single report.
+function printWatchEventsJson(watcher) {
+  const emit = (event, payload) => console.log(JSON.stringify({ event, ...payload }));
+  emit('ready', { templatesDir: watcher.templatesDir, agentCount: watcher.agentCount, warnings: watcher.warnings });
+  for (const event of ['rebuild', 'drift-skip', 'remove']) {
+    watcher.on(event, (payload) => emit(event, payload));
+  }
+  watcher.on('warning', (error) => emit('warning', { error: serializeError(error) }));
+  watcher.on('error', (error) => {
+    emit('error', { error: serializeError(error) });
+    process.exit(1);
+  });
+}
 
-      const destinationPath = path.join(entry.workspace, file.relativePath);
-      fs.mkdirSync(path.dirname(destinationPath), { recursive: true });
-
-      if (file.relativePath.endsWith('.md')) {
-        const hasIncludes = hasActiveIncludeTags(file.absolutePath);
-        if (hasIncludes) {
-          let compiled;
-          try {
-            compiled = compileMarkdownFile(file.absolutePath);
-          } catch (error) {
-            console.error(`Failed to compile ${file.absolutePath}: ${error.message}`);
-            process.exit(1);
-          }
-          fs.writeFileSync(destinationPath, compiled, 'utf8');
-          totalFiles += 1;
-        } else if (!fs.existsSync(destinationPath) || allowNonIncludeOverwrite) {
-          fs.copyFileSync(file.absolutePath, destinationPath);
-          totalFiles += 1;
-        } else {
-          skippedFiles += 1;
-        }
-      } else {
-        if (!fs.existsSync(destinationPath) || allowNonIncludeOverwrite) {
-          fs.copyFileSync(file.absolutePath, destinationPath);
-          totalFiles += 1;
-        } else {
-          skippedFiles += 1;
-        }
-      }
-    }
+function printWatchEvents(watcher, out) {
+  if (out.json) {
+    printWatchEventsJson(watcher);
+    return;
   }
 
-  console.log(`Built ${totalFiles} files across ${agentEntries.length} workspace(s); skipped ${skippedFiles}.`);
+  printWarnings(watcher.warnings, out);
+  watcher.on('rebuild', (event) => out.log(`Rebuilt ${event.id}: ${event.path} -> ${event.destinationPath}`));
+  watcher.on('drift-skip', (event) =>
+    out.warn(`Skipped ${event.id}: ${event.path} (changed since the last build; use --overwrite)`),
+  );
+  watcher.on('remove', (event) => out.log(`Removed ${event.id}: ${event.path} from templates; workspace file kept.`));
+  watcher.on('warning', (error) => out.warn(error.message));
+  watcher.on('error', (error) => {
+    out.error(error.message);
+    process.exit(1);
+  });
+  out.log(`Watching ${watcher.templatesDir} for ${watcher.agentCount} agent(s). Press Ctrl+C to stop.`);
 }
 
-function doctorCommand(openclawDirOption, templateDirOption) {
-  const { openclawDir, openclawConfigPath, baseTemplatesDir, includesTemplatesDir } = getInitPaths(
-    openclawDirOption,
-    templateDirOption,
-  );
-  const parsed = parseOpenclawConfig(openclawConfigPath);
-  const list = parsed.agents.list;
-  const agentNames = getAgentNames(openclawConfigPath, openclawDir);
-  const entrypointTemplateFiles = getEntrypointTemplateFiles(baseTemplatesDir);
-  assertIncludesTemplatesDir(includesTemplatesDir);
-
-  const invalidWorkspaceCount = list.filter((agent) => {
-    if (!agent || typeof agent !== 'object') {
-      return true;
-    }
-    const hasExplicitWorkspace = typeof agent.workspace === 'string' && agent.workspace.trim() !== '';
-    if (hasExplicitWorkspace) {
-      return false;
-    }
-    return getAgentId(agent) !== 'main';
-  }).length;
+function resolveGlobalOptions(command) {
+  const { openclaw, templates, json, quiet, verbose } = command.optsWithGlobals();
+  return { paths: { openclawDir: openclaw, templatesDir: templates }, out: createOutput({ json, quiet, verbose }) };
+}
 
-  console.log('Doctor checks passed');
-  console.log(`Config: ${openclawConfigPath}`);
-  console.log(`Agents found: ${agentNames.length}`);
-  console.log(`Entrypoint templates (.base): ${entrypointTemplateFiles.length}`);
-  if (invalidWorkspaceCount > 0) {
-    console.log(`Skipped invalid workspace entries: ${invalidWorkspaceCount}`);
-  }
+function collectOption(value, previous) {
+  return [...previous, value];
 }
 
 function buildProgram() {
@@ -560,47 +646,296 @@ function buildProgram() {
     '--templates <path>',
     `Path to templates directory (default: ~/.openclaw-templates, env: ${TEMPLATES_DIR_ENV})`,
   );
+  program.option('--json', 'Print a JSON report on stdout instead of text');
+  program.option('--quiet', 'Only print errors');
+  program.option('--verbose', 'Also print per-file and per-agent details');
 
   program
     .command('init')
     .option('--force', 'Overwrite existing template directory')
-    .action(function action(options) {
-      const { openclaw, templates } = this.optsWithGlobals();
-      initCommand(Boolean(options.force), openclaw, templates);
+    .option('--preset <[agent=]name>', 'Seed agent directories from a preset (repeatable)', collectOption, [])
+    .option('--git', 'Track the template directory in a git repository')
+    .option('--from-workspace', "Import each agent's current workspace markdown instead of the stock entrypoints")
+    .action(async function action(options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(
+        out,
+        await init({
+          ...paths,
+          force: Boolean(options.force),
+          presets: options.preset,
+          git: Boolean(options.git),
+          fromWorkspace: Boolean(options.fromWorkspace),
+        }),
+        printInit,
+      );
     });
 
-  program.command('pull-agents').action(function action() {
-    const { openclaw, templates } = this.optsWithGlobals();
-    updateCommand(openclaw, templates);
-  });
+  program
+    .command('pull-agents')
+    .option('--preset <[agent=]name>', 'Seed new agent directories from a preset (repeatable)', collectOption, [])
+    .action(async function action(options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await pullAgents({ ...paths, presets: options.preset }), printPullAgents);
+    });
 
-  program.command('doctor').action(function action() {
-    const { openclaw, templates } = this.optsWithGlobals();
-    doctorCommand(openclaw, templates);
+  program
+    .command('prune-agents')
+    .option('--archive', 'Move orphaned template dirs into <template-dir>/.archive/<date>/')
+    .option('--delete', 'Delete orphaned template dirs (asks for confirmation)')
+    .option('--yes', 'Delete without asking')
+    .option('--no-rename', 'Do not move the template dir of a likely renamed agent to its new id')
+    .action(async function action(options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(
+        out,
+        await pruneAgents({
+          ...paths,
+          archive: Boolean(options.archive),
+          delete: Boolean(options.delete),
+          rename: options.rename,
+          confirm: (orphans) => confirmDelete(orphans, Boolean(options.yes)),
+        }),
+        printPruneAgents,
+      );
+    });
+
+  program.command('presets').action(async function action() {
+    const { paths, out } = resolveGlobalOptions(this);
+    report(out, await presets(paths), printPresets);
   });
 
+  program
+    .command('upgrade')
+    .option('--dry-run', 'Report what would change without writing (exit 2 when changes are pending)')
+    .option('--accept <side>', 'Resolve files without an upstream baseline by keeping ours or taking theirs')
+    .action(async function action(options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await upgrade({ ...paths, dryRun: Boolean(options.dryRun), accept: options.accept }), printUpgrade);
+    });
+
+  program
+    .command('doctor')
+    .option('--fix', 'Recreate missing agent template dirs and restore missing shared includes from the package')
+    .action(async function action(options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await doctor({ ...paths, fix: Boolean(options.fix) }), printDoctor);
+    });
+
   program
     .command('build')
     .argument('[workspace]')
     .option('--overwrite', 'Overwrite non-include target files if they already exist')
     .option('--wipe', 'Delete workspace contents before building')
     .option('--force', 'Allow explicit workspace paths outside ~/.openclaw')
-    .action(function action(workspace, options) {
-      const { openclaw, templates } = this.optsWithGlobals();
-      buildCommand(
-        Boolean(options.overwrite),
-        Boolean(options.wipe),
-        workspace,
-        Boolean(options.force),
-        openclaw,
-        templates,
+    .option('--dry-run', 'Show a unified diff of pending changes without writing (exit 2 when changes are pending)')
+    .option(
+      '--keep-backups <count>',
+      `Backups to keep per agent, 0 disables them (default: ${DEFAULT_KEEP_BACKUPS}, env: ${KEEP_BACKUPS_ENV})`,
+    )
+    .option(
+      '--max-file-tokens <n>',
+      `Fail when a compiled file is over n estimated tokens (env: ${MAX_FILE_TOKENS_ENV})`,
+    )
+    .option(
+      '--max-agent-tokens <n>',
+      `Fail when an agent's files total over n estimated tokens (env: ${MAX_AGENT_TOKENS_ENV})`,
+    )
+    .option('--commit', 'Commit the built files in workspaces that are git repositories')
+    .option('--allow-dirty', 'With --commit, build even if a workspace has uncommitted changes')
+    .action(async function action(workspace, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(
+        out,
+        // Flags that were not given stay undefined so the build defaults in openclaw-templates.json apply.
+        await build({
+          ...paths,
+          workspace,
+          overwrite: options.overwrite,
+          wipe: options.wipe,
+          force: options.force,
+          dryRun: Boolean(options.dryRun),
+          keepBackups: options.keepBackups,
+          commit: options.commit,
+          allowDirty: options.allowDirty,
+          maxFileTokens: options.maxFileTokens,
+          maxAgentTokens: options.maxAgentTokens,
+        }),
+        printBuild,
+      );
+    });
+
+  program
+    .command('stats')
+    .argument('[workspace]')
+    .option(
+      '--max-file-tokens <n>',
+      `Exit 1 when a compiled file is over n estimated tokens (env: ${MAX_FILE_TOKENS_ENV})`,
+    )
+    .option(
+      '--max-agent-tokens <n>',
+      `Exit 1 when an agent's files total over n estimated tokens (env: ${MAX_AGENT_TOKENS_ENV})`,
+    )
+    .action(async function action(workspace, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(
+        out,
+        await stats({
+          ...paths,
+          workspace,
+          maxFileTokens: options.maxFileTokens,
+          maxAgentTokens: options.maxAgentTokens,
+        }),
+        printStats,
+      );
+    });
+
+  program
+    .command('lint')
+    .argument('[workspace]')
+    .option(
+      '--rule <rule>=<severity>',
+      `Set a rule to error, warning or off (repeatable; rules: ${Object.keys(LINT_RULES).join(', ')})`,
+      collectOption,
+      [],
+    )
+    .action(async function action(workspace, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await lint({ ...paths, workspace, rules: parseRuleOptions(options.rule) }), printLint);
+    });
+
+  program
+    .command('check-links')
+    .argument('[workspace]')
+    .option('--copy-assets', 'Copy missing linked files from the agent templates or includes into the workspace')
+    .action(async function action(workspace, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await checkLinks({ ...paths, workspace, copyAssets: Boolean(options.copyAssets) }), printCheckLinks);
+    });
+
+  program
+    .command('backups')
+    .argument('[agent]')
+    .action(async function action(agent) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await backups({ ...paths, agent }), printBackups);
+    });
+
+  program
+    .command('restore')
+    .argument('<agent>')
+    .argument('[snapshot]')
+    .action(async function action(agent, snapshot) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await restore({ ...paths, agent, snapshot }), printRestore);
+    });
+
+  program
+    .command('graph')
+    .argument('[workspace]')
+    .option('--format <format>', `Output format (${GRAPH_FORMATS.join(', ')})`, 'text')
+    .action(async function action(workspace, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await graph({ ...paths, workspace, format: options.format }), (result) =>
+        printGraph(result, out, options.format),
+      );
+    });
+
+  program
+    .command('where-used')
+    .argument('<include>')
+    .action(async function action(include) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await whereUsed({ ...paths, include }), printWhereUsed);
+    });
+
+  const includes = program.command('includes');
+
+  includes
+    .command('add')
+    .argument('<source>')
+    .option('--name <name>', 'Install under .includes/@<name> instead of the name from the pack')
+    .option('--force', 'Replace a pack or folder that is already installed under that name')
+    .action(async function action(source, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(
+        out,
+        await addIncludePack({ ...paths, source, name: options.name, force: Boolean(options.force) }),
+        printIncludePackAdd,
+      );
+    });
+
+  includes
+    .command('update')
+    .argument('[names...]')
+    .option('--force', 'Replace packs whose installed files were edited')
+    .action(async function action(names, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await updateIncludePacks({ ...paths, names, force: Boolean(options.force) }), printIncludePackUpdate);
+    });
+
+  includes
+    .command('remove')
+    .argument('<name>')
+    .action(async function action(name) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await removeIncludePack({ ...paths, name }), printIncludePackRemove);
+    });
+
+  includes.command('list').action(async function action() {
+    const { paths, out } = resolveGlobalOptions(this);
+    report(out, await listIncludePacks(paths), printIncludePacks);
+  });
+
+  program
+    .command('watch')
+    .argument('[workspace]')
+    .option('--overwrite', 'Overwrite non-include and drifted target files')
+    .option('--force', 'Allow explicit workspace paths outside ~/.openclaw')
+    .action(async function action(workspace, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      printWatchEvents(
+        await watch({
+          ...paths,
+          workspace,
+          overwrite: options.overwrite,
+          force: options.force,
+        }),
+        out,
+      );
+    });
+
+  program
+    .command('status')
+    .argument('[workspace]')
+    .action(async function action(workspace) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(out, await status({ ...paths, workspace }), printStatus);
+    });
+
+  program
+    .command('capture')
+    .argument('[workspace]')
+    .option('--apply', 'Write diverged workspace content back into the templates')
+    .option('--shared', 'Write changes that came from shared includes into those includes')
+    .action(async function action(workspace, options) {
+      const { paths, out } = resolveGlobalOptions(this);
+      report(
+        out,
+        await capture({
+          ...paths,
+          workspace,
+          apply: Boolean(options.apply),
+          shared: Boolean(options.shared),
+        }),
+        printCapture,
       );
     });
 
   return program;
 }
 
-function main() {
+async function main() {
   const args = process.argv.slice(2);
 
   if (args.length === 0) {
@@ -614,7 +949,25 @@ function main() {
   }
 
   const program = buildProgram();
-  program.parse(process.argv);
+  try {
+    await program.parseAsync(process.argv);
+  } catch (error) {
+    // Anything that is not an OpenclawTemplatesError is a bug or an unexpected system error (EACCES, ENOSPC, ...);
+    // it is reported the same way, with the stack trace only on --verbose.
+    const expected = error instanceof OpenclawTemplatesError;
+    if (program.opts().json) {
+      console.log(JSON.stringify({ error: serializeError(error) }, null, 2));
+      process.exit(1);
+    }
+    console.error(expected ? error.message : `Unexpected error: ${error.message}`);
+    if (error.hint) {
+      console.error(error.hint);
+    }
+    if (!expected && program.opts().verbose) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
 }
 
 main();
@@ -0,0 +1,203 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const markdownInclude = require('markdown-include');
+const { listFilesRecursive, toManifestKey } = require('./files');
+const { CONDITIONAL_DIRECTIVE_PATTERN, escapeTemplateVariables, hasTemplateDirectives } = require('./compile');
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+
+// Only fragments that compile to their own text can stand in for workspace text.
+function listAdoptableFragments(includesDir) {
+  return listFilesRecursive(includesDir)
+    .filter((file) => file.relativePath.endsWith('.md'))
+    .filter((file) => !hasTemplateDirectives(file.absolutePath))
+    .map((file) => {
+      const content = fs.readFileSync(file.absolutePath, 'utf8');
+      return {
+        key: `.includes/${toManifestKey(file.relativePath)}`,
+        lines: content.split('\n'),
+        active: markdownInclude.findIncludeTags(content).length > 0,
+      };
+    })
+    .filter((fragment) => !fragment.active && fragment.lines.some((line) => line.trim() !== ''))
+    .sort((a, b) => b.lines.length - a.lines.length || a.key.localeCompare(b.key));
+}
+
+function matchesAt(lines, index, fragmentLines) {
+  return fragmentLines.every((line, offset) => lines[index + offset] === line);
+}
+
+// Splits a workspace file into include references (for runs of lines equal to a fragment) and inline lines, each
+// with the workspace line it starts at.
+function segmentLines(lines, fragments) {
+  const segments = [];
+  for (let index = 0; index < lines.length;) {
+    const fragment = fragments.find((candidate) => matchesAt(lines, index, candidate.lines));
+    if (fragment) {
+      segments.push({ include: fragment.key, line: index + 1 });
+      index += fragment.lines.length;
+    } else {
+      segments.push({ text: lines[index], line: index + 1 });
+      index += 1;
+    }
+  }
+  return segments;
+}
+
+// Directive and include lines cannot be escaped, so text that looks like them would be compiled instead of copied.
+function isUnbuildableLine(text) {
+  return CONDITIONAL_DIRECTIVE_PATTERN.test(text) || markdownInclude.findIncludeTags(text).length > 0;
+}
+
+// A section runs from a heading to the next heading or include; text before the first heading is never shared.
+function listSections(segments) {
+  const sections = [];
+  let current;
+  segments.forEach((segment, index) => {
+    if (segment.include !== undefined || HEADING_PATTERN.test(segment.text)) {
+      current = undefined;
+    }
+    if (segment.text !== undefined && HEADING_PATTERN.test(segment.text)) {
+      current = { start: index, lines: [] };
+      sections.push(current);
+    }
+    if (current) {
+      current.lines.push(segment.text);
+    }
+  });
+  return sections.filter(
+    (section) =>
+      section.lines.filter((line) => line.trim() !== '').length > 1 && !section.lines.some(isUnbuildableLine),
+  );
+}
+
+function nameSharedFragment(targetDir, fileName, heading, taken) {
+  const stem = fileName.replace(/\.md$/, '');
+  const slug =
+    heading
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'SECTION';
+  for (let suffix = 1; ; suffix += 1) {
+    const key = `.includes/${stem}/${suffix === 1 ? slug : `${slug}_${suffix}`}.md`;
+    if (!taken.has(key) && !fs.existsSync(path.join(targetDir, key))) {
+      return key;
+    }
+  }
+}
+
+// Sections that appear word for word in more than one agent's workspace move into new shared fragments.
+function extractSharedSections(adopted, targetDir) {
+  const occurrences = new Map();
+  for (const agent of adopted) {
+    for (const file of agent.files) {
+      for (const section of listSections(file.segments)) {
+        const text = section.lines.join('\n');
+        if (!occurrences.has(text)) {
+          occurrences.set(text, { agents: new Set(), sites: [], fileName: file.path, lines: section.lines });
+        }
+        const occurrence = occurrences.get(text);
+        occurrence.agents.add(agent.id);
+        occurrence.sites.push({ file, start: section.start, length: section.lines.length });
+      }
+    }
+  }
+
+  const created = new Map();
+  const replacements = new Map();
+  for (const occurrence of occurrences.values()) {
+    if (occurrence.agents.size < 2) {
+      continue;
+    }
+    const heading = HEADING_PATTERN.exec(occurrence.lines[0])[1];
+    const key = nameSharedFragment(targetDir, occurrence.fileName, heading, created);
+    created.set(key, occurrence.lines.map(escapeTemplateVariables).join('\n'));
+    for (const site of occurrence.sites) {
+      if (!replacements.has(site.file)) {
+        replacements.set(site.file, []);
+      }
+      replacements.get(site.file).push({ ...site, key });
+    }
+  }
+
+  for (const [file, sites] of replacements) {
+    for (const site of sites.sort((a, b) => b.start - a.start)) {
+      file.segments.splice(site.start, site.length, { include: site.key, shared: true });
+    }
+  }
+  for (const [key, content] of created) {
+    const fragmentPath = path.join(targetDir, key);
+    fs.mkdirSync(path.dirname(fragmentPath), { recursive: true });
+    fs.writeFileSync(fragmentPath, content, 'utf8');
+  }
+  return [...created.keys()];
+}
+
+function renderAdoptedFile(segments) {
+  return segments
+    .map((segment) =>
+      segment.include !== undefined ? `#include "../${segment.include}"` : escapeTemplateVariables(segment.text),
+    )
+    .join('\n');
+}
+
+// Imports each agent's top-level workspace markdown into its template dir, replacing text that matches an existing
+// fragment (or another agent's workspace) with include tags so the first build reproduces the workspace exactly.
+function adoptWorkspaces(targetDir, entries) {
+  const includesDir = path.join(targetDir, '.includes');
+  const fragments = listAdoptableFragments(includesDir);
+  const warnings = [];
+
+  const adopted = entries.map((entry) => {
+    const exists = fs.existsSync(entry.workspace) && fs.statSync(entry.workspace).isDirectory();
+    if (!exists) {
+      warnings.push(
+        `Workspace for agent ${entry.id} not found (${entry.workspace}); seeded it from the stock templates.`,
+      );
+    }
+    const files = (exists ? fs.readdirSync(entry.workspace, { withFileTypes: true }) : [])
+      .filter((dirent) => dirent.isFile() && dirent.name.endsWith('.md'))
+      .map((dirent) => dirent.name)
+      .sort((a, b) => a.localeCompare(b))
+      .map((fileName) => ({
+        path: fileName,
+        segments: segmentLines(fs.readFileSync(path.join(entry.workspace, fileName), 'utf8').split('\n'), fragments),
+      }));
+    return { id: entry.id, workspace: entry.workspace, directory: path.join(targetDir, entry.name), files };
+  });
+
+  const sharedIncludes = extractSharedSections(adopted, targetDir);
+  for (const agent of adopted) {
+    for (const file of agent.files) {
+      fs.writeFileSync(path.join(agent.directory, file.path), renderAdoptedFile(file.segments), 'utf8');
+      for (const segment of file.segments) {
+        if (segment.text !== undefined && isUnbuildableLine(segment.text)) {
+          warnings.push(
+            `${agent.id}: ${file.path}:${segment.line} looks like a template directive and will not build as written.`,
+          );
+        }
+      }
+    }
+  }
+
+  return {
+    agents: adopted.map((agent) => ({
+      id: agent.id,
+      workspace: agent.workspace,
+      files: agent.files.map((file) => ({
+        path: file.path,
+        includes: file.segments
+          .filter((segment) => segment.include && !segment.shared)
+          .map((segment) => segment.include),
+        shared: file.segments.filter((segment) => segment.shared).map((segment) => segment.include),
+        inlineLines: file.segments.filter((segment) => segment.text !== undefined).length,
+      })),
+    })),
+    sharedIncludes,
+    warnings,
+  };
+}
+
+module.exports = {
+  adoptWorkspaces,
+};
@@ -0,0 +1,214 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { ConfigError, UsageError } = require('./errors');
+const { assertTemplatesDirExists, getInitPaths } = require('./paths');
+const { isChildPath, toManifestKey } = require('./files');
+const { BUILD_MANIFEST_FILE } = require('./manifest');
+
+const BACKUPS_DIR = '.backups';
+const SNAPSHOT_FILE = 'snapshot.json';
+const KEEP_BACKUPS_ENV = 'OCLAWTPL_KEEP_BACKUPS';
+const DEFAULT_KEEP_BACKUPS = 10;
+
+// The option, then OCLAWTPL_KEEP_BACKUPS, then the templates config default, then DEFAULT_KEEP_BACKUPS.
+function resolveKeepBackups(keepOption, configuredDefault) {
+  let value = keepOption !== undefined ? keepOption : process.env[KEEP_BACKUPS_ENV];
+  if (value === undefined || value === '') {
+    value = configuredDefault;
+  }
+  if (value === undefined) {
+    return DEFAULT_KEEP_BACKUPS;
+  }
+
+  const keep = Number(value);
+  if (!Number.isInteger(keep) || keep < 0) {
+    throw new UsageError(`Invalid backup retention: ${value}`, {
+      hint: 'Use the number of snapshots to keep per agent (0 disables backups).',
+    });
+  }
+  return keep;
+}
+
+function readSnapshot(snapshotDir) {
+  const snapshotPath = path.join(snapshotDir, SNAPSHOT_FILE);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to parse JSON in ${snapshotPath}: ${error.message}`);
+  }
+
+  if (
+    !parsed ||
+    !Array.isArray(parsed.files) ||
+    !Array.isArray(parsed.created) ||
+    typeof parsed.workspace !== 'string'
+  ) {
+    throw new ConfigError(
+      `Invalid backup snapshot format in ${snapshotPath}: expected .workspace, .files and .created`,
+    );
+  }
+  return { ...parsed, id: path.basename(snapshotDir), directory: snapshotDir };
+}
+
+function listSnapshots(agentBackupsDir) {
+  if (!fs.existsSync(agentBackupsDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(agentBackupsDir, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory() && fs.existsSync(path.join(agentBackupsDir, dirent.name, SNAPSHOT_FILE)))
+    .map((dirent) => readSnapshot(path.join(agentBackupsDir, dirent.name)))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+}
+
+// Saves every workspace file the build is about to replace or delete, plus the list of files it will create, so that
+// `restore` can put the workspace back exactly as it was.
+function snapshotWorkspace(targetDir, plan, reason, keep) {
+  const replaced = plan.actions.filter((action) => action.type === 'modify').map((action) => action.relativePath);
+  const removed = plan.wiped.map((file) => file.relativePath);
+  if (keep === 0 || replaced.length + removed.length === 0) {
+    return undefined;
+  }
+
+  const { workspace } = plan.entry;
+  const saved = [...replaced, ...removed];
+  const created = plan.actions.filter((action) => action.type === 'create').map((action) => action.relativePath);
+  if (fs.existsSync(path.join(workspace, BUILD_MANIFEST_FILE))) {
+    saved.push(BUILD_MANIFEST_FILE);
+  } else {
+    created.push(BUILD_MANIFEST_FILE);
+  }
+
+  const agentBackupsDir = path.join(targetDir, BACKUPS_DIR, plan.entry.id);
+  const createdAt = new Date().toISOString();
+  let id = createdAt.replace(/[:.]/g, '-');
+  for (let suffix = 2; fs.existsSync(path.join(agentBackupsDir, id)); suffix += 1) {
+    id = `${createdAt.replace(/[:.]/g, '-')}-${suffix}`;
+  }
+
+  const snapshotDir = path.join(agentBackupsDir, id);
+  for (const relativePath of saved) {
+    const backupPath = path.join(snapshotDir, 'files', relativePath);
+    fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+    fs.copyFileSync(path.join(workspace, relativePath), backupPath);
+  }
+  const snapshot = {
+    version: 1,
+    agent: plan.entry.id,
+    workspace,
+    createdAt,
+    reason,
+    files: saved.map(toManifestKey),
+    created: created.map(toManifestKey),
+  };
+  fs.mkdirSync(snapshotDir, { recursive: true });
+  fs.writeFileSync(path.join(snapshotDir, SNAPSHOT_FILE), `${JSON.stringify(snapshot, null, 2)}\n`, 'utf8');
+
+  const snapshots = listSnapshots(agentBackupsDir);
+  for (const expired of snapshots.slice(0, Math.max(snapshots.length - keep, 0))) {
+    fs.rmSync(expired.directory, { recursive: true, force: true });
+  }
+  return id;
+}
+
+function describeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    reason: snapshot.reason,
+    workspace: snapshot.workspace,
+    files: snapshot.files,
+    created: snapshot.created,
+  };
+}
+
+async function backups(options = {}) {
+  const { targetDir } = getInitPaths(options.openclawDir, options.templatesDir);
+  const backupsDir = path.join(targetDir, BACKUPS_DIR);
+  const agentIds = fs.existsSync(backupsDir)
+    ? fs
+        .readdirSync(backupsDir, { withFileTypes: true })
+        .filter((dirent) => dirent.isDirectory())
+        .map((dirent) => dirent.name)
+        .sort((a, b) => a.localeCompare(b))
+    : [];
+  if (options.agent && !agentIds.includes(options.agent)) {
+    throw new UsageError(`No backups found for agent ${options.agent} in ${backupsDir}`);
+  }
+
+  const agents = agentIds
+    .filter((agentId) => !options.agent || agentId === options.agent)
+    .map((agentId) => ({ id: agentId, snapshots: listSnapshots(path.join(backupsDir, agentId)).map(describeSnapshot) }))
+    .filter((agent) => agent.snapshots.length > 0);
+
+  return { templatesDir: targetDir, agents };
+}
+
+function removeEmptyParents(filePath, workspace) {
+  for (let dir = path.dirname(filePath); isChildPath(workspace, dir); dir = path.dirname(dir)) {
+    if (fs.readdirSync(dir).length > 0) {
+      return;
+    }
+    fs.rmdirSync(dir);
+  }
+}
+
+async function restore(options = {}) {
+  const { targetDir } = getInitPaths(options.openclawDir, options.templatesDir);
+  assertTemplatesDirExists(targetDir);
+
+  const agentBackupsDir = path.join(targetDir, BACKUPS_DIR, options.agent || '');
+  const snapshots = options.agent ? listSnapshots(agentBackupsDir) : [];
+  if (snapshots.length === 0) {
+    throw new UsageError(`No backups found for agent ${options.agent}`, {
+      hint: 'Backups are taken by `build` whenever it replaces or deletes workspace files.',
+    });
+  }
+
+  const snapshot = options.snapshot
+    ? snapshots.find((candidate) => candidate.id === options.snapshot)
+    : snapshots[snapshots.length - 1];
+  if (!snapshot) {
+    throw new UsageError(`Backup ${options.snapshot} not found for agent ${options.agent}`, {
+      hint: `Run \`openclaw-templates backups ${options.agent}\` to list its snapshots.`,
+    });
+  }
+
+  const { workspace } = snapshot;
+  const toWorkspacePath = (relativePath) => {
+    const filePath = path.join(workspace, relativePath);
+    if (!isChildPath(workspace, filePath)) {
+      throw new ConfigError(`Invalid path in backup ${snapshot.directory}: ${relativePath}`);
+    }
+    return filePath;
+  };
+
+  const removed = [];
+  for (const relativePath of snapshot.created) {
+    const filePath = toWorkspacePath(relativePath);
+    if (fs.existsSync(filePath)) {
+      fs.rmSync(filePath, { force: true });
+      removeEmptyParents(filePath, workspace);
+      removed.push(relativePath);
+    }
+  }
+  for (const relativePath of snapshot.files) {
+    const filePath = toWorkspacePath(relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.copyFileSync(path.join(snapshot.directory, 'files', relativePath), filePath);
+  }
+
+  return { agent: options.agent, snapshot: snapshot.id, workspace, restored: snapshot.files, removed };
+}
+
+module.exports = {
+  BACKUPS_DIR,
+  KEEP_BACKUPS_ENV,
+  DEFAULT_KEEP_BACKUPS,
+  resolveKeepBackups,
+  snapshotWorkspace,
+  backups,
+  restore,
+};
@@ -0,0 +1,115 @@
+const path = require('node:path');
+const { BudgetError, UsageError } = require('./errors');
+const { readExistingFile, toManifestKey } = require('./files');
+
+const MAX_FILE_TOKENS_ENV = 'OCLAWTPL_MAX_FILE_TOKENS';
+const MAX_AGENT_TOKENS_ENV = 'OCLAWTPL_MAX_AGENT_TOKENS';
+
+// A rough but model-agnostic estimate: English prose averages about four characters per token.
+function estimateTokens(characters) {
+  return Math.ceil(characters / 4);
+}
+
+function measureText(text) {
+  const lines = text === '' ? 0 : text.split('\n').length - (text.endsWith('\n') ? 1 : 0);
+  return { characters: text.length, lines, tokens: estimateTokens(text.length) };
+}
+
+// OpenClaw injects the top-level markdown files of a workspace into every session; nothing else counts.
+function isInjectedFile(relativePath) {
+  return relativePath.endsWith('.md') && !toManifestKey(relativePath).includes('/');
+}
+
+function resolveTokenLimit(value, envVarName, optionName, configuredDefault) {
+  let raw = value !== undefined ? value : process.env[envVarName];
+  if (raw === undefined || raw === '') {
+    raw = configuredDefault;
+  }
+  if (raw === undefined) {
+    return undefined;
+  }
+
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new UsageError(`Invalid ${optionName}: ${raw}`, { hint: 'Use a whole number of tokens (0 for no limit).' });
+  }
+  return limit === 0 ? undefined : limit;
+}
+
+// `defaults` are the build defaults from the templates config; options and the environment take precedence.
+function resolveTokenLimits(options, defaults = {}) {
+  return {
+    file: resolveTokenLimit(options.maxFileTokens, MAX_FILE_TOKENS_ENV, 'per-file token limit', defaults.maxFileTokens),
+    agent: resolveTokenLimit(
+      options.maxAgentTokens,
+      MAX_AGENT_TOKENS_ENV,
+      'per-agent token limit',
+      defaults.maxAgentTokens,
+    ),
+  };
+}
+
+function findBudgetViolations(agentId, files, limits) {
+  const violations = [];
+  if (limits.file) {
+    for (const file of files) {
+      if (file.tokens > limits.file) {
+        violations.push({ agent: agentId, path: file.path, scope: 'file', tokens: file.tokens, limit: limits.file });
+      }
+    }
+  }
+
+  const tokens = files.reduce((sum, file) => sum + file.tokens, 0);
+  if (limits.agent && tokens > limits.agent) {
+    violations.push({ agent: agentId, scope: 'agent', tokens, limit: limits.agent });
+  }
+  return violations;
+}
+
+function formatBudgetViolation(violation) {
+  const subject = violation.scope === 'file' ? `${violation.agent}: ${violation.path}` : violation.agent;
+  return `${subject} is ~${violation.tokens} tokens, over the per-${violation.scope} limit of ${violation.limit}`;
+}
+
+function assertWithinBudget(violations) {
+  if (violations.length > 0) {
+    throw new BudgetError(
+      [
+        'Compiled workspace files are over the token budget:',
+        ...violations.map((violation) => `  ${formatBudgetViolation(violation)}`),
+      ].join('\n'),
+      {
+        violations,
+        hint: 'Trim the templates or their includes, or raise --max-file-tokens / --max-agent-tokens.',
+      },
+    );
+  }
+}
+
+function measurePlanFiles(plan) {
+  return plan.actions
+    .filter((action) => isInjectedFile(action.relativePath))
+    .flatMap((action) => {
+      // Skipped files keep whatever the workspace already has, so that is what gets injected.
+      const content =
+        action.content !== undefined
+          ? action.content
+          : readExistingFile(path.join(plan.entry.workspace, action.relativePath));
+      return content === undefined
+        ? []
+        : [{ path: toManifestKey(action.relativePath), ...measureText(content.toString('utf8')) }];
+    });
+}
+
+module.exports = {
+  MAX_FILE_TOKENS_ENV,
+  MAX_AGENT_TOKENS_ENV,
+  estimateTokens,
+  measureText,
+  isInjectedFile,
+  resolveTokenLimits,
+  findBudgetViolations,
+  formatBudgetViolation,
+  assertWithinBudget,
+  measurePlanFiles,
+};
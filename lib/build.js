@@ -0,0 +1,454 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { createTwoFilesPatch, FILE_HEADERS_ONLY } = require('diff');
+const { DriftError, TemplateCompileError, TemplatesDirError, WorkspaceError } = require('./errors');
+const { getInitPaths } = require('./paths');
+const {
+  clearDirectoryContents,
+  listFilesRecursive,
+  pathTouchesGitMetadata,
+  readExistingFile,
+  toManifestKey,
+} = require('./files');
+const { getAgentEntries, getSkippedAgentWarnings, parseOpenclawConfig, selectBuildTargets } = require('./config');
+const { listAgentTemplateFiles, resolveTemplateLayers } = require('./layers');
+const {
+  compileMarkdownFile,
+  createTemplateContext,
+  hasActiveIncludeTags,
+  hasTemplateDirectives,
+} = require('./compile');
+const {
+  BUILD_MANIFEST_FILE,
+  getManifestStatus,
+  hashContent,
+  readBuildManifest,
+  recordManifestEntries,
+  writeBuildManifest,
+} = require('./manifest');
+const { resolveKeepBackups, snapshotWorkspace } = require('./backups');
+const { commitPaths, isGitRepository, listUncommittedChanges } = require('./git');
+const { assertWithinBudget, findBudgetViolations, measurePlanFiles, resolveTokenLimits } = require('./budget');
+const { findPlanBrokenLinks } = require('./links');
+const { findPathPolicy, isPolicyKept, resolveBuildFlag } = require('./settings');
+
+function resolveBuildTargets(options, allowExternalWorkspacePath) {
+  const { openclawDir, targetDir, openclawConfigPath, settings } = getInitPaths(
+    options.openclawDir,
+    options.templatesDir,
+  );
+  const entries = selectBuildTargets(
+    getAgentEntries(openclawConfigPath, openclawDir),
+    options.workspace,
+    openclawDir,
+    allowExternalWorkspacePath,
+    openclawConfigPath,
+  );
+
+  if (!fs.existsSync(targetDir)) {
+    throw new TemplatesDirError(`Includes directory not found: ${targetDir}`, {
+      hint: 'Run `openclaw-templates init` first.',
+    });
+  }
+
+  return {
+    openclawDir,
+    targetDir,
+    openclawConfigPath,
+    settings,
+    entries,
+    warnings: getSkippedAgentWarnings(parseOpenclawConfig(openclawConfigPath), openclawConfigPath),
+  };
+}
+
+function getAgentTemplatesDir(
+  targetDir,
+  entry,
+  hint = 'Run `openclaw-templates init --force` to regenerate templates.',
+) {
+  const agentTemplatesDir = path.join(targetDir, entry.name);
+  if (!fs.existsSync(agentTemplatesDir) || !fs.statSync(agentTemplatesDir).isDirectory()) {
+    throw new TemplatesDirError(`Template directory not found for agent ${entry.name}: ${agentTemplatesDir}`, { hint });
+  }
+  return agentTemplatesDir;
+}
+
+function listWipedFiles(workspaceDir, producedPaths, policies) {
+  if (!fs.existsSync(workspaceDir)) {
+    return [];
+  }
+
+  if (!fs.statSync(workspaceDir).isDirectory()) {
+    throw new WorkspaceError(`Workspace path is not a directory: ${workspaceDir}`);
+  }
+
+  // Mirrors clearDirectoryContents: only the top-level .git directory and paths kept by a policy survive a wipe.
+  return listFilesRecursive(workspaceDir).filter(
+    (file) =>
+      file.relativePath.split(path.sep)[0] !== '.git' &&
+      file.relativePath !== BUILD_MANIFEST_FILE &&
+      !producedPaths.has(file.relativePath) &&
+      !isPolicyKept(policies, file.relativePath),
+  );
+}
+
+function planTemplateFile(entry, file, options) {
+  const { templateContext, includeDirs, manifest, wipeWorkspace, dependencies, policies = [] } = options;
+  const policy = findPathPolicy(policies, file.relativePath);
+  if (pathTouchesGitMetadata(file.relativePath) || policy === 'never-touch') {
+    return { type: 'skip', relativePath: file.relativePath };
+  }
+
+  // always-compile paths are rebuilt as if --overwrite was given; front matter `mode` beats a seed-once policy.
+  const allowNonIncludeOverwrite = options.allowNonIncludeOverwrite || policy === 'always-compile';
+  const mode = file.mode || (policy === 'seed-once' ? 'seed' : 'managed');
+  const destinationPath = path.join(entry.workspace, file.relativePath);
+  const previous = readExistingFile(destinationPath);
+  const destinationExists =
+    (!wipeWorkspace || isPolicyKept(policies, file.relativePath)) && fs.existsSync(destinationPath);
+  // Seed files start a workspace file once; from then on it belongs to the workspace.
+  if (mode === 'seed' && destinationExists) {
+    return { type: 'skip', relativePath: file.relativePath };
+  }
+  const isTemplate =
+    file.absolutePath.endsWith('.md') &&
+    (hasActiveIncludeTags(file.absolutePath) || hasTemplateDirectives(file.absolutePath));
+
+  let content;
+  if (isTemplate) {
+    try {
+      content = Buffer.from(compileMarkdownFile(file.absolutePath, templateContext, includeDirs, dependencies), 'utf8');
+    } catch (error) {
+      throw new TemplateCompileError(`Failed to compile ${file.absolutePath}: ${error.message}`, {
+        filePath: file.absolutePath,
+        cause: error,
+      });
+    }
+  } else if (!destinationExists || allowNonIncludeOverwrite) {
+    content = fs.readFileSync(file.absolutePath);
+  } else {
+    return { type: 'skip', relativePath: file.relativePath };
+  }
+
+  const manifestEntry = manifest.files[toManifestKey(file.relativePath)];
+  const drifted =
+    isTemplate &&
+    !allowNonIncludeOverwrite &&
+    previous !== undefined &&
+    !previous.equals(content) &&
+    manifestEntry !== undefined &&
+    manifestEntry.hash !== hashContent(previous);
+
+  return {
+    type: drifted ? 'drifted' : previous === undefined ? 'create' : previous.equals(content) ? 'unchanged' : 'modify',
+    relativePath: file.relativePath,
+    sourcePath: file.absolutePath,
+    destinationPath,
+    compiled: isTemplate,
+    content,
+    previous,
+  };
+}
+
+function planWorkspaceBuild(entry, agentTemplatesDir, allowNonIncludeOverwrite, wipeWorkspace, policies = []) {
+  const { layers, includeDirs } = resolveTemplateLayers(agentTemplatesDir);
+  const templateFiles = listAgentTemplateFiles(layers, entry);
+  if (templateFiles.length === 0) {
+    throw new TemplatesDirError(`No template files found in ${agentTemplatesDir}`);
+  }
+
+  const manifest = readBuildManifest(entry.workspace);
+  const options = {
+    templateContext: createTemplateContext(entry),
+    includeDirs,
+    manifest,
+    allowNonIncludeOverwrite,
+    wipeWorkspace,
+    policies,
+  };
+  const actions = [];
+  const producedPaths = new Set();
+
+  for (const file of templateFiles) {
+    const action = planTemplateFile(entry, file, options);
+    if (action.type !== 'skip') {
+      producedPaths.add(file.relativePath);
+    }
+    actions.push(action);
+  }
+
+  return {
+    entry,
+    agentTemplatesDir,
+    layers,
+    includeDirs,
+    manifest,
+    policies,
+    actions,
+    wiped: wipeWorkspace ? listWipedFiles(entry.workspace, producedPaths, policies) : [],
+  };
+}
+
+function writeBuildAction(action) {
+  fs.mkdirSync(path.dirname(action.destinationPath), { recursive: true });
+  if (action.compiled) {
+    fs.writeFileSync(action.destinationPath, action.content);
+  } else {
+    fs.copyFileSync(action.sourcePath, action.destinationPath);
+  }
+}
+
+function applyWorkspaceBuild(plan, wipeWorkspace) {
+  fs.mkdirSync(plan.entry.workspace, { recursive: true });
+  if (wipeWorkspace) {
+    clearDirectoryContents(plan.entry.workspace, (relativePath) => isPolicyKept(plan.policies, relativePath));
+  }
+
+  const writtenActions = plan.actions.filter((action) => action.type !== 'skip' && action.type !== 'drifted');
+  for (const action of writtenActions) {
+    writeBuildAction(action);
+  }
+
+  const previousManifest = wipeWorkspace ? { version: 1, files: {} } : plan.manifest;
+  writeBuildManifest(
+    plan.entry.workspace,
+    recordManifestEntries(previousManifest, plan.agentTemplatesDir, writtenActions, new Date().toISOString()),
+  );
+}
+
+function formatCommitMessage(plan, targetDir) {
+  const written = plan.actions.filter((action) => action.type === 'create' || action.type === 'modify');
+  const templates = [...new Set(written.map((action) => toManifestKey(path.relative(targetDir, action.sourcePath))))];
+  const subject =
+    templates.length === 0
+      ? `Build ${plan.entry.id}: remove ${plan.wiped.length} file(s)`
+      : templates.length <= 3
+        ? `Build ${plan.entry.id} from ${templates.join(', ')}`
+        : `Build ${plan.entry.id} from ${templates.length} templates`;
+
+  const lines = [
+    ...written.map(
+      (action) =>
+        `${action.type} ${toManifestKey(action.relativePath)} (${toManifestKey(path.relative(targetDir, action.sourcePath))})`,
+    ),
+    ...plan.wiped.map((file) => `delete ${toManifestKey(file.relativePath)}`),
+  ];
+  return [subject, '', 'Generated by openclaw-templates build.', '', ...lines].join('\n');
+}
+
+function commitWorkspaceBuild(plan, targetDir) {
+  const paths = [
+    ...plan.actions
+      .filter((action) => action.type === 'create' || action.type === 'modify')
+      .map((action) => action.relativePath),
+    ...plan.wiped.map((file) => file.relativePath),
+    BUILD_MANIFEST_FILE,
+  ];
+  return commitPaths(plan.entry.workspace, paths, formatCommitMessage(plan, targetDir));
+}
+
+function isBinaryContent(content) {
+  return content.includes(0);
+}
+
+function formatFileDiff(relativePath, previous, next) {
+  const oldName = previous === undefined ? '/dev/null' : `a/${relativePath}`;
+  const newName = next === undefined ? '/dev/null' : `b/${relativePath}`;
+  const oldContent = previous === undefined ? Buffer.alloc(0) : previous;
+  const newContent = next === undefined ? Buffer.alloc(0) : next;
+
+  if (isBinaryContent(oldContent) || isBinaryContent(newContent)) {
+    return `Binary files ${oldName} and ${newName} differ\n`;
+  }
+
+  return createTwoFilesPatch(
+    oldName,
+    newName,
+    oldContent.toString('utf8'),
+    newContent.toString('utf8'),
+    undefined,
+    undefined,
+    { headerOptions: FILE_HEADERS_ONLY },
+  );
+}
+
+function summarizeWorkspacePlan(plan) {
+  const counts = { created: 0, modified: 0, unchanged: 0, skipped: 0, wiped: plan.wiped.length, drifted: 0 };
+  for (const action of plan.actions) {
+    if (action.type === 'create') {
+      counts.created += 1;
+    } else if (action.type === 'modify') {
+      counts.modified += 1;
+    } else if (action.type === 'unchanged') {
+      counts.unchanged += 1;
+    } else if (action.type === 'drifted') {
+      counts.drifted += 1;
+    } else {
+      counts.skipped += 1;
+    }
+  }
+  return counts;
+}
+
+function describeWorkspacePlan(plan, dryRun) {
+  const result = {
+    id: plan.entry.id,
+    workspace: plan.entry.workspace,
+    files: plan.actions.map((action) => ({
+      path: toManifestKey(action.relativePath),
+      action: action.type,
+      compiled: Boolean(action.compiled),
+    })),
+    wiped: plan.wiped.map((file) => toManifestKey(file.relativePath)),
+    drifted: plan.actions
+      .filter((action) => action.type === 'drifted')
+      .map((action) => toManifestKey(action.relativePath)),
+    counts: summarizeWorkspacePlan(plan),
+    backup: plan.backup,
+    commit: plan.commit,
+    brokenLinks: plan.brokenLinks.map((link) => ({
+      file: link.file,
+      line: link.line,
+      target: link.target,
+      path: link.path,
+      outside: link.outside,
+    })),
+  };
+
+  if (dryRun) {
+    const diffs = [];
+    for (const action of plan.actions) {
+      if (action.type === 'create' || action.type === 'modify') {
+        diffs.push(formatFileDiff(action.relativePath, action.previous, action.content));
+      }
+    }
+    for (const file of plan.wiped) {
+      diffs.push(formatFileDiff(file.relativePath, fs.readFileSync(file.absolutePath), undefined));
+    }
+    result.diff = diffs.join('');
+  }
+
+  return result;
+}
+
+async function build(options = {}) {
+  const { settings } = getInitPaths(options.openclawDir, options.templatesDir);
+  const overwrite = resolveBuildFlag(options, settings, 'overwrite');
+  const wipe = resolveBuildFlag(options, settings, 'wipe');
+  const commit = resolveBuildFlag(options, settings, 'commit');
+  const dryRun = Boolean(options.dryRun);
+  const keepBackups = resolveKeepBackups(options.keepBackups, settings.build.keepBackups);
+  const tokenLimits = resolveTokenLimits(options, settings.build);
+  const { targetDir, entries, warnings } = resolveBuildTargets(options, resolveBuildFlag(options, settings, 'force'));
+  const includesDir = path.join(targetDir, '.includes');
+
+  if (!fs.existsSync(includesDir) || !fs.statSync(includesDir).isDirectory()) {
+    throw new TemplatesDirError(`Shared includes directory not found: ${includesDir}`, {
+      hint: 'Run `openclaw-templates init --force` to regenerate templates.',
+    });
+  }
+
+  const plans = entries.map((entry) =>
+    planWorkspaceBuild(entry, getAgentTemplatesDir(targetDir, entry), overwrite, wipe, settings.policies),
+  );
+  for (const plan of plans) {
+    plan.brokenLinks = findPlanBrokenLinks(plan, wipe);
+  }
+
+  if (tokenLimits.file || tokenLimits.agent) {
+    assertWithinBudget(
+      plans.flatMap((plan) => findBudgetViolations(plan.entry.id, measurePlanFiles(plan), tokenLimits)),
+    );
+  }
+
+  if (!dryRun) {
+    const driftedFiles = plans.flatMap((plan) =>
+      plan.actions
+        .filter((action) => action.type === 'drifted')
+        .map((action) => `${plan.entry.id}: ${action.relativePath}`),
+    );
+    if (driftedFiles.length > 0) {
+      throw new DriftError(
+        [
+          'Refusing to overwrite compiled files changed since the last build:',
+          ...driftedFiles.map((file) => `  ${file}`),
+        ].join('\n'),
+        {
+          files: driftedFiles,
+          hint: 'Use --overwrite to replace them, or `openclaw-templates capture` to keep the changes.',
+        },
+      );
+    }
+
+    const gitPlans = commit ? plans.filter((plan) => isGitRepository(plan.entry.workspace)) : [];
+    if (!resolveBuildFlag(options, settings, 'allowDirty')) {
+      const dirtyFiles = gitPlans.flatMap((plan) =>
+        listUncommittedChanges(plan.entry.workspace).map((file) => `${plan.entry.id}: ${file}`),
+      );
+      if (dirtyFiles.length > 0) {
+        throw new WorkspaceError(
+          ['Refusing to build over uncommitted workspace changes:', ...dirtyFiles.map((file) => `  ${file}`)].join(
+            '\n',
+          ),
+          { hint: 'Commit or stash them first, or use --allow-dirty to build anyway.' },
+        );
+      }
+    }
+
+    const reason = wipe ? 'wipe' : overwrite ? 'overwrite' : 'build';
+    for (const plan of plans) {
+      plan.backup = snapshotWorkspace(targetDir, plan, reason, keepBackups);
+      applyWorkspaceBuild(plan, wipe);
+      if (gitPlans.includes(plan)) {
+        plan.commit = commitWorkspaceBuild(plan, targetDir);
+      }
+    }
+  }
+
+  const workspaces = plans.map((plan) => describeWorkspacePlan(plan, dryRun));
+  const totals = { written: 0, skipped: 0, pendingChanges: 0, drifted: 0 };
+  for (const workspace of workspaces) {
+    totals.written += workspace.counts.created + workspace.counts.modified + workspace.counts.unchanged;
+    totals.skipped += workspace.counts.skipped;
+    totals.drifted += workspace.counts.drifted;
+    totals.pendingChanges += workspace.counts.created + workspace.counts.modified + workspace.counts.wiped;
+  }
+
+  return { dryRun, workspaces, totals, warnings };
+}
+
+async function status(options = {}) {
+  const { targetDir, settings, entries, warnings } = resolveBuildTargets(options, true);
+
+  const workspaces = entries.map((entry) => {
+    const plan = planWorkspaceBuild(entry, getAgentTemplatesDir(targetDir, entry), true, false, settings.policies);
+    const counts = { 'in-sync': 0, stale: 0, drifted: 0, missing: 0 };
+    const files = [];
+
+    for (const action of plan.actions) {
+      if (action.type === 'skip') {
+        continue;
+      }
+      const fileStatus = getManifestStatus(action, plan.manifest);
+      counts[fileStatus] += 1;
+      files.push({ path: toManifestKey(action.relativePath), status: fileStatus });
+    }
+
+    return { id: entry.id, workspace: entry.workspace, files, counts };
+  });
+
+  return { workspaces, warnings };
+}
+
+module.exports = {
+  resolveBuildTargets,
+  getAgentTemplatesDir,
+  planTemplateFile,
+  planWorkspaceBuild,
+  writeBuildAction,
+  applyWorkspaceBuild,
+  summarizeWorkspacePlan,
+  formatFileDiff,
+  build,
+  status,
+};
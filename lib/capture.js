@@ -0,0 +1,276 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { diffArrays } = require('diff');
+const { TemplateCompileError } = require('./errors');
+const { isChildPath, toManifestKey } = require('./files');
+const { compileMarkdownLines, createTemplateContext } = require('./compile');
+const { getManifestStatus, recordManifestEntries, writeBuildManifest } = require('./manifest');
+const { formatFileDiff, getAgentTemplatesDir, planWorkspaceBuild, resolveBuildTargets } = require('./build');
+
+function collectLineEdits(oldLines, newLines) {
+  const edits = [];
+  let oldIndex = 0;
+  let pending;
+
+  for (const change of diffArrays(oldLines, newLines)) {
+    if (!change.added && !change.removed) {
+      if (pending) {
+        edits.push(pending);
+        pending = undefined;
+      }
+      oldIndex += change.value.length;
+      continue;
+    }
+
+    pending = pending || { oldStart: oldIndex, oldEnd: oldIndex, lines: [] };
+    if (change.removed) {
+      oldIndex += change.value.length;
+      pending.oldEnd = oldIndex;
+    } else {
+      pending.lines.push(...change.value);
+    }
+  }
+
+  if (pending) {
+    edits.push(pending);
+  }
+  return edits;
+}
+
+function locateCaptureEdit(edit, sourceMap) {
+  if (edit.oldEnd > edit.oldStart) {
+    const sources = sourceMap.slice(edit.oldStart, edit.oldEnd);
+    const [first] = sources;
+    const contiguous = sources.every(
+      (source, index) =>
+        source.exact &&
+        source.filePath === first.filePath &&
+        source.via === first.via &&
+        source.lineNumber === first.lineNumber + index,
+    );
+    if (!contiguous) {
+      return undefined;
+    }
+    return { source: first, start: first.lineNumber, deleteCount: sources.length, lines: edit.lines };
+  }
+
+  const before = sourceMap[edit.oldStart - 1];
+  if (before && before.exact) {
+    return { source: before, start: before.lineNumber + 1, deleteCount: 0, lines: edit.lines };
+  }
+  const after = sourceMap[edit.oldStart];
+  if (after && after.exact) {
+    return { source: after, start: after.lineNumber, deleteCount: 0, lines: edit.lines };
+  }
+  return undefined;
+}
+
+function applyLineEdits(lines, edits) {
+  const result = [...lines];
+  const sorted = [...edits].sort((a, b) => b.start - a.start);
+  for (const edit of sorted) {
+    result.splice(edit.start - 1, edit.deleteCount, ...edit.lines);
+  }
+  return result;
+}
+
+function findOverlappingEdit(edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  for (let index = 1; index < sorted.length; index += 1) {
+    const previous = sorted[index - 1];
+    const current = sorted[index];
+    if (current.start < previous.start + previous.deleteCount || current.start === previous.start) {
+      return current;
+    }
+  }
+  return undefined;
+}
+
+function isSameEdit(a, b) {
+  return a.start === b.start && a.deleteCount === b.deleteCount && a.lines.join('\n') === b.lines.join('\n');
+}
+
+function getAgentOverridePath(filePath, plan) {
+  const [agentTemplatesDir] = plan.layers;
+  if (isChildPath(agentTemplatesDir, filePath)) {
+    return filePath;
+  }
+
+  const includeDir = plan.includeDirs.find((dir) => isChildPath(dir, filePath));
+  if (includeDir) {
+    return path.join(agentTemplatesDir, '.includes', path.relative(includeDir, filePath));
+  }
+  const layerDir = plan.layers.find((dir) => isChildPath(dir, filePath));
+  return layerDir ? path.join(agentTemplatesDir, path.relative(layerDir, filePath)) : undefined;
+}
+
+function planCompiledCapture(action, plan, shareIncludes) {
+  const sourceMap = compileMarkdownLines(action.sourcePath, createTemplateContext(plan.entry), plan.includeDirs);
+  const edits = collectLineEdits(
+    sourceMap.map((line) => line.text),
+    action.previous.toString('utf8').split('\n'),
+  );
+  const fileEdits = [];
+  const problems = [];
+
+  for (const edit of edits) {
+    const location = locateCaptureEdit(edit, sourceMap);
+    const outputLine = edit.oldStart + 1;
+    if (!location) {
+      problems.push(`${action.relativePath}:${outputLine}: change spans rendered variables or several sources`);
+      continue;
+    }
+
+    // Changes to shared or inherited files go into an agent-level override unless --shared is given.
+    const { source } = location;
+    const targetPath = shareIncludes ? source.filePath : getAgentOverridePath(source.filePath, plan);
+    if (!targetPath) {
+      problems.push(`${action.relativePath}:${outputLine}: change comes from ${source.filePath} outside the templates`);
+      continue;
+    }
+    fileEdits.push({ targetPath, basePath: source.filePath, outputLine, ...location });
+  }
+
+  return { fileEdits, problems };
+}
+
+function planWorkspaceCapture(plan, shareIncludes) {
+  const files = [];
+
+  for (const action of plan.actions) {
+    // Stale files only lag behind newer templates; capturing them would revert the template change.
+    if (action.type !== 'modify' || getManifestStatus(action, plan.manifest) === 'stale') {
+      continue;
+    }
+
+    if (!action.compiled) {
+      const targetPath = shareIncludes ? action.sourcePath : path.join(plan.agentTemplatesDir, action.relativePath);
+      files.push({ action, targetPath, fileEdits: [], replaceSource: true, problems: [] });
+      continue;
+    }
+
+    let captured;
+    try {
+      captured = planCompiledCapture(action, plan, shareIncludes);
+    } catch (error) {
+      throw new TemplateCompileError(`Failed to compile ${action.sourcePath}: ${error.message}`, {
+        filePath: action.sourcePath,
+        cause: error,
+      });
+    }
+    files.push({ action, replaceSource: false, ...captured });
+  }
+
+  return files;
+}
+
+async function capture(options = {}) {
+  const apply = Boolean(options.apply);
+  const shareIncludes = Boolean(options.shared);
+  const { targetDir, settings, entries, warnings } = resolveBuildTargets(options, true);
+
+  const editsByTarget = new Map();
+  const capturedPlans = [];
+  const replacements = [];
+  const problems = [];
+  const workspaces = [];
+  let divergedFiles = 0;
+
+  for (const entry of entries) {
+    const agentTemplatesDir = getAgentTemplatesDir(targetDir, entry);
+    if (!fs.existsSync(entry.workspace)) {
+      continue;
+    }
+
+    const plan = planWorkspaceBuild(entry, agentTemplatesDir, true, false, settings.policies);
+    const files = planWorkspaceCapture(plan, shareIncludes);
+    if (files.length === 0) {
+      continue;
+    }
+    capturedPlans.push({ plan, files });
+
+    const workspace = { id: entry.id, workspace: entry.workspace, files: [] };
+    workspaces.push(workspace);
+    for (const file of files) {
+      const { action } = file;
+      const fileResult = {
+        path: toManifestKey(action.relativePath),
+        diff: formatFileDiff(action.relativePath, action.content, action.previous),
+        targets: [],
+      };
+      workspace.files.push(fileResult);
+      divergedFiles += 1;
+
+      if (file.replaceSource) {
+        fileResult.targets.push({ target: path.relative(targetDir, file.targetPath) });
+        replacements.push(file);
+      }
+      for (const edit of file.fileEdits) {
+        fileResult.targets.push({
+          outputLine: edit.outputLine,
+          target: path.relative(targetDir, edit.targetPath),
+          line: edit.start,
+          overriding: edit.targetPath !== edit.basePath ? path.relative(targetDir, edit.basePath) : undefined,
+        });
+        if (!editsByTarget.has(edit.targetPath)) {
+          editsByTarget.set(edit.targetPath, []);
+        }
+        const targetEdits = editsByTarget.get(edit.targetPath);
+        if (!targetEdits.some((existing) => isSameEdit(existing, edit))) {
+          targetEdits.push(edit);
+        }
+      }
+      problems.push(...file.problems.map((problem) => `${entry.id}: ${problem}`));
+    }
+  }
+
+  for (const [targetPath, edits] of editsByTarget) {
+    const overlapping = findOverlappingEdit(edits);
+    if (overlapping) {
+      problems.push(`conflicting changes to ${targetPath}:${overlapping.start}`);
+    }
+  }
+
+  const result = {
+    applied: false,
+    workspaceCount: entries.length,
+    workspaces,
+    divergedFiles,
+    problems,
+    templatesWritten: [],
+    warnings,
+  };
+  if (divergedFiles === 0 || problems.length > 0 || !apply) {
+    return result;
+  }
+
+  for (const file of replacements) {
+    fs.mkdirSync(path.dirname(file.targetPath), { recursive: true });
+    fs.writeFileSync(file.targetPath, file.action.previous);
+    result.templatesWritten.push(path.relative(targetDir, file.targetPath));
+  }
+  for (const [targetPath, edits] of editsByTarget) {
+    // A new override starts as a copy of the file it shadows.
+    const lines = fs.readFileSync(fs.existsSync(targetPath) ? targetPath : edits[0].basePath, 'utf8').split('\n');
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, applyLineEdits(lines, edits).join('\n'), 'utf8');
+    result.templatesWritten.push(path.relative(targetDir, targetPath));
+  }
+
+  // The captured workspace content is what the templates now compile to, so it is no longer drift.
+  const capturedAt = new Date().toISOString();
+  for (const { plan, files } of capturedPlans) {
+    const capturedActions = files.map(({ action }) => ({ ...action, content: action.previous }));
+    writeBuildManifest(
+      plan.entry.workspace,
+      recordManifestEntries(plan.manifest, plan.agentTemplatesDir, capturedActions, capturedAt),
+    );
+  }
+
+  result.applied = true;
+  return result;
+}
+
+module.exports = {
+  capture,
+};
@@ -0,0 +1,83 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { isChildPath, toManifestKey } = require('./files');
+const { listAgentTemplateFiles, resolveTemplateLayers } = require('./layers');
+const { createTemplateContext, readOutputLines } = require('./compile');
+const { getAgentTemplatesDir, resolveBuildTargets } = require('./build');
+const { findBrokenLinks } = require('./links');
+
+// A missing asset may sit next to the template or include that links it, or in one of the agent's include dirs.
+function findAsset(targetDir, link, sourcePath, includeDirs) {
+  const relativeTarget = path.posix.relative(path.posix.dirname(link.file), link.path);
+  return [
+    path.resolve(path.dirname(sourcePath), relativeTarget),
+    ...includeDirs.map((dir) => path.join(dir, link.path)),
+  ]
+    .filter((candidate) => isChildPath(targetDir, candidate))
+    .find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+}
+
+function checkAgentLinks(targetDir, entry, copyAssets) {
+  const { layers, includeDirs } = resolveTemplateLayers(getAgentTemplatesDir(targetDir, entry));
+  const templateFiles = listAgentTemplateFiles(layers, entry);
+  const produced = new Set(templateFiles.map((file) => toManifestKey(file.relativePath)));
+  // Judged against the workspace as the next build would leave it: what is there now plus every template file.
+  const exists = (relativePath) =>
+    produced.has(relativePath) ||
+    [...produced].some((file) => file.startsWith(`${relativePath}/`)) ||
+    fs.existsSync(path.join(entry.workspace, relativePath));
+
+  const context = createTemplateContext(entry);
+  let checked = 0;
+  const broken = [];
+  for (const file of templateFiles.filter((candidate) => candidate.relativePath.endsWith('.md'))) {
+    const lines = readOutputLines(file, context, includeDirs);
+    const result = findBrokenLinks(toManifestKey(file.relativePath), lines, exists);
+    checked += result.checked;
+
+    for (const link of result.broken) {
+      const line = lines[link.index];
+      const asset = link.outside ? undefined : findAsset(targetDir, link, line.filePath, includeDirs);
+      let copied = false;
+      if (asset && copyAssets) {
+        // Several links may share one asset; only the first copies it.
+        const destinationPath = path.join(entry.workspace, link.path);
+        if (!fs.existsSync(destinationPath)) {
+          fs.mkdirSync(path.dirname(destinationPath), { recursive: true });
+          fs.copyFileSync(asset, destinationPath);
+        }
+        copied = true;
+      }
+      broken.push({
+        file: link.file,
+        line: link.line,
+        source: `${toManifestKey(path.relative(targetDir, line.filePath))}:${line.lineNumber}`,
+        target: link.target,
+        path: link.path,
+        outside: link.outside,
+        asset: asset && toManifestKey(path.relative(targetDir, asset)),
+        copied,
+      });
+    }
+  }
+
+  return { id: entry.id, workspace: entry.workspace, checked, broken };
+}
+
+async function checkLinks(options = {}) {
+  const copyAssets = Boolean(options.copyAssets);
+  const { targetDir, entries, warnings } = resolveBuildTargets(options, true);
+
+  const agents = entries.map((entry) => checkAgentLinks(targetDir, entry, copyAssets));
+  const links = agents.flatMap((agent) => agent.broken);
+  const counts = {
+    checked: agents.reduce((sum, agent) => sum + agent.checked, 0),
+    broken: links.filter((link) => !link.copied).length,
+    copied: links.filter((link) => link.copied).length,
+  };
+  return { templatesDir: targetDir, copyAssets, agents, counts, ok: counts.broken === 0, warnings };
+}
+
+module.exports = {
+  checkLinks,
+};
@@ -0,0 +1,431 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const markdownInclude = require('markdown-include');
+const { TemplateCompileError } = require('./errors');
+const { isChildPath } = require('./files');
+const { readFrontMatter } = require('./frontmatter');
+
+const TEMPLATE_VARIABLE_PATTERN = /(\\)?\{\{\s*([A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*)\s*\}\}/g;
+const CONDITIONAL_DIRECTIVE_PATTERN = /^#(if|elif|else|endif)(?=\s|$)\s*(.*?)\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const CONDITION_TOKEN_PATTERN =
+  /\s*(?:(\(|\)|!=|==|!|&&|\|\|)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*))/y;
+
+function createTemplateContext(entry) {
+  const configuredName =
+    typeof entry.config.name === 'string' && entry.config.name.trim() !== '' ? entry.config.name.trim() : entry.id;
+
+  return {
+    agent: {
+      ...entry.defaults,
+      ...entry.config,
+      id: entry.id,
+      name: configuredName,
+      workspace: entry.workspace,
+    },
+  };
+}
+
+function lookupTemplateVariable(context, variableName) {
+  let value = context;
+  for (const segment of variableName.split('.')) {
+    if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+function renderTemplateVariables(line, context, sourceFilePath, lineNumber) {
+  return line.replace(TEMPLATE_VARIABLE_PATTERN, (match, escape, variableName) => {
+    if (escape) {
+      return match.slice(1);
+    }
+
+    const value = lookupTemplateVariable(context, variableName);
+    if (value === undefined || value === null) {
+      throw new TemplateCompileError(
+        `Unknown template variable {{${variableName}}} at ${sourceFilePath}:${lineNumber}`,
+        { filePath: sourceFilePath },
+      );
+    }
+    if (typeof value === 'object') {
+      throw new TemplateCompileError(
+        `Template variable {{${variableName}}} is not a scalar value at ${sourceFilePath}:${lineNumber}`,
+        { filePath: sourceFilePath },
+      );
+    }
+
+    return String(value);
+  });
+}
+
+function tokenizeCondition(expression) {
+  const tokens = [];
+  CONDITION_TOKEN_PATTERN.lastIndex = 0;
+
+  while (expression.slice(CONDITION_TOKEN_PATTERN.lastIndex).trim() !== '') {
+    const offset = CONDITION_TOKEN_PATTERN.lastIndex;
+    const match = CONDITION_TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`unexpected input "${expression.slice(offset).trim()}"`);
+    }
+
+    const [, operator, doubleQuoted, singleQuoted, number, identifier] = match;
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+    } else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      tokens.push({ type: 'literal', value: (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, '$1') });
+    } else if (number !== undefined) {
+      tokens.push({ type: 'literal', value: Number(number) });
+    } else if (identifier === 'true' || identifier === 'false') {
+      tokens.push({ type: 'literal', value: identifier === 'true' });
+    } else if (identifier === 'in') {
+      tokens.push({ type: 'operator', value: 'in' });
+    } else {
+      tokens.push({ type: 'variable', value: identifier });
+    }
+  }
+
+  return tokens;
+}
+
+function isTruthyConditionValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+function evaluateCondition(expression, context) {
+  const tokens = tokenizeCondition(expression);
+  let position = 0;
+
+  function peekOperator(...operators) {
+    const token = tokens[position];
+    return token && token.type === 'operator' && operators.includes(token.value) ? token.value : undefined;
+  }
+
+  function parseOr() {
+    let value = parseAnd();
+    while (peekOperator('||')) {
+      position += 1;
+      const right = parseAnd();
+      value = isTruthyConditionValue(value) || isTruthyConditionValue(right);
+    }
+    return value;
+  }
+
+  function parseAnd() {
+    let value = parseUnary();
+    while (peekOperator('&&')) {
+      position += 1;
+      const right = parseUnary();
+      value = isTruthyConditionValue(value) && isTruthyConditionValue(right);
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peekOperator('!')) {
+      position += 1;
+      return !isTruthyConditionValue(parseUnary());
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parsePrimary();
+    const operator = peekOperator('==', '!=', 'in');
+    if (!operator) {
+      return left;
+    }
+
+    position += 1;
+    const right = parsePrimary();
+    if (operator === '==') {
+      return left === right;
+    }
+    if (operator === '!=') {
+      return left !== right;
+    }
+    if (Array.isArray(right)) {
+      return right.includes(left);
+    }
+    return typeof right === 'string' && left !== undefined && right.includes(String(left));
+  }
+
+  function parsePrimary() {
+    const token = tokens[position];
+    if (!token) {
+      throw new Error('unexpected end of expression');
+    }
+
+    position += 1;
+    if (token.type === 'literal') {
+      return token.value;
+    }
+    if (token.type === 'variable') {
+      return lookupTemplateVariable(context, token.value);
+    }
+    if (token.value === '(') {
+      const value = parseOr();
+      if (!peekOperator(')')) {
+        throw new Error('missing closing parenthesis');
+      }
+      position += 1;
+      return value;
+    }
+
+    throw new Error(`unexpected "${token.value}"`);
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('missing expression');
+  }
+
+  const value = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position].value}"`);
+  }
+
+  return isTruthyConditionValue(value);
+}
+
+function selectConditionalLines(lines, context, sourceFilePath) {
+  const selected = [];
+  const blocks = [];
+  let fence;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const fenceMatch = FENCE_PATTERN.exec(line);
+    const inFence = fence !== undefined;
+    if (fenceMatch) {
+      fence = fence === undefined ? fenceMatch[1] : fence === fenceMatch[1] ? undefined : fence;
+    }
+    // Directive-looking lines inside fenced code blocks are example text, not directives.
+    const match = fenceMatch || inFence ? undefined : CONDITIONAL_DIRECTIVE_PATTERN.exec(line);
+    const currentBlock = blocks[blocks.length - 1];
+    const enclosingActive = currentBlock ? currentBlock.active : true;
+
+    if (!match) {
+      if (enclosingActive) {
+        selected.push({ line, lineNumber });
+      }
+      return;
+    }
+
+    const [, directive, expression] = match;
+    const location = `${sourceFilePath}:${lineNumber}`;
+    const evaluate = () => {
+      try {
+        return evaluateCondition(expression, context);
+      } catch (error) {
+        throw new TemplateCompileError(`Invalid #${directive} expression at ${location}: ${error.message}`, {
+          filePath: sourceFilePath,
+        });
+      }
+    };
+
+    if (directive === 'if') {
+      const parentActive = enclosingActive;
+      const matched = evaluate();
+      blocks.push({ parentActive, active: parentActive && matched, taken: matched, hasElse: false, lineNumber });
+      return;
+    }
+
+    if (!currentBlock) {
+      throw new TemplateCompileError(`#${directive} without matching #if at ${location}`, { filePath: sourceFilePath });
+    }
+    if ((directive === 'elif' || directive === 'else') && currentBlock.hasElse) {
+      throw new TemplateCompileError(`#${directive} after #else at ${location}`, { filePath: sourceFilePath });
+    }
+    if ((directive === 'else' || directive === 'endif') && expression !== '') {
+      throw new TemplateCompileError(`Unexpected text after #${directive} at ${location}`, {
+        filePath: sourceFilePath,
+      });
+    }
+
+    if (directive === 'elif') {
+      const matched = !currentBlock.taken && evaluate();
+      currentBlock.active = currentBlock.parentActive && matched;
+      currentBlock.taken = currentBlock.taken || matched;
+    } else if (directive === 'else') {
+      currentBlock.active = currentBlock.parentActive && !currentBlock.taken;
+      currentBlock.taken = true;
+      currentBlock.hasElse = true;
+    } else {
+      blocks.pop();
+    }
+  });
+
+  if (blocks.length > 0) {
+    throw new TemplateCompileError(`Unterminated #if at ${sourceFilePath}:${blocks[blocks.length - 1].lineNumber}`, {
+      filePath: sourceFilePath,
+    });
+  }
+
+  return selected;
+}
+
+function resolveIncludePath(includeRootDir, includeTarget, includeDirs = [], dependencies) {
+  // Includes resolve against the entrypoint directory, matching markdown-include's cwd-relative lookup.
+  const includePath = path.resolve(includeRootDir, includeTarget);
+  const layerDir = includeDirs.find((includeDir) => isChildPath(includeDir, includePath));
+  const candidates = layerDir
+    ? includeDirs.map((includeDir) => path.join(includeDir, path.relative(layerDir, includePath)))
+    : [includePath];
+
+  // The first existing layer wins; earlier (missing) candidates are dependencies too, so adding an override is noticed.
+  const foundIndex = candidates.findIndex((candidate) => fs.existsSync(candidate));
+  const checked = foundIndex === -1 ? candidates : candidates.slice(0, foundIndex + 1);
+  if (dependencies) {
+    checked.forEach((candidate) => dependencies.add(candidate));
+  }
+  return foundIndex === -1 ? includePath : candidates[foundIndex];
+}
+
+function expandTemplateLines(sourceFilePath, includeRootDir, context, includeDirs, includeStack, dependencies) {
+  if (includeStack.includes(sourceFilePath)) {
+    throw new TemplateCompileError(`Circular include ${[...includeStack, sourceFilePath].join(' -> ')}`, {
+      filePath: sourceFilePath,
+    });
+  }
+  if (dependencies) {
+    dependencies.add(sourceFilePath);
+  }
+
+  const lines = fs.readFileSync(sourceFilePath, 'utf8').split('\n');
+  const output = [];
+  // The entrypoint's own front matter steers the build and never reaches the output.
+  const frontMatter = includeStack.length === 0 ? readFrontMatter(sourceFilePath) : undefined;
+  const firstLine = frontMatter ? frontMatter.lineCount + 1 : 1;
+
+  for (const { line, lineNumber } of selectConditionalLines(lines, context, sourceFilePath)) {
+    if (lineNumber < firstLine) {
+      continue;
+    }
+    const rendered = renderTemplateVariables(line, context, sourceFilePath, lineNumber);
+    const [includeTag] = markdownInclude.findIncludeTags(rendered);
+    if (!includeTag) {
+      output.push({ text: rendered, filePath: sourceFilePath, lineNumber, exact: rendered === line });
+      continue;
+    }
+
+    const includePath = resolveIncludePath(
+      includeRootDir,
+      markdownInclude.parseIncludeTag(includeTag),
+      includeDirs,
+      dependencies,
+    );
+    if (!fs.existsSync(includePath)) {
+      throw new TemplateCompileError(`Include not found: ${includePath} (from ${sourceFilePath}:${lineNumber})`, {
+        filePath: sourceFilePath,
+      });
+    }
+
+    const included = expandTemplateLines(
+      includePath,
+      includeRootDir,
+      context,
+      includeDirs,
+      [...includeStack, sourceFilePath],
+      dependencies,
+    );
+    const trailingText = rendered.slice(includeTag.length);
+    const via = { filePath: includePath, lineNumber, trailingText };
+    included.forEach((includedLine, index) => {
+      const isLast = index === included.length - 1;
+      output.push({
+        ...includedLine,
+        text: isLast ? `${includedLine.text}${trailingText}` : includedLine.text,
+        exact: includedLine.exact && (!isLast || trailingText === ''),
+        via: includeStack.length === 0 ? via : includedLine.via,
+      });
+    });
+  }
+
+  return output;
+}
+
+function compileMarkdownLines(sourceFilePath, context, includeDirs, dependencies) {
+  return expandTemplateLines(sourceFilePath, path.dirname(sourceFilePath), context, includeDirs, [], dependencies);
+}
+
+function compileMarkdownFile(sourceFilePath, context, includeDirs, dependencies) {
+  return compileMarkdownLines(sourceFilePath, context, includeDirs, dependencies)
+    .map((line) => line.text)
+    .join('\n');
+}
+
+// The lines a build writes for a template file, each with the file and line it came from. Files without include
+// tags or directives are copied as is, so they are read as they are.
+function readOutputLines(file, context, includeDirs) {
+  if (!hasActiveIncludeTags(file.absolutePath) && !hasTemplateDirectives(file.absolutePath)) {
+    return fs
+      .readFileSync(file.absolutePath, 'utf8')
+      .split('\n')
+      .map((text, index) => ({ text, filePath: file.absolutePath, lineNumber: index + 1 }));
+  }
+
+  try {
+    return compileMarkdownLines(file.absolutePath, context, includeDirs);
+  } catch (error) {
+    throw new TemplateCompileError(`Failed to compile ${file.absolutePath}: ${error.message}`, {
+      filePath: file.absolutePath,
+      cause: error,
+    });
+  }
+}
+
+// Calls `visit(line, index)` for each line outside fenced code blocks; the fence lines themselves are skipped.
+function forEachUnfencedLine(lines, visit) {
+  let fence;
+  lines.forEach((line, index) => {
+    const fenceMatch = FENCE_PATTERN.exec(line.text);
+    if (fenceMatch) {
+      fence = fence === undefined ? fenceMatch[1] : fence === fenceMatch[1] ? undefined : fence;
+    } else if (fence === undefined) {
+      visit(line, index);
+    }
+  });
+}
+
+// Makes literal text survive compilation unchanged: `{{name}}` becomes `\{{name}}`, which renders back as written.
+function escapeTemplateVariables(line) {
+  return line.replace(TEMPLATE_VARIABLE_PATTERN, (match) => `\\${match}`);
+}
+
+function hasActiveIncludeTags(sourceFilePath) {
+  const rawData = fs.readFileSync(sourceFilePath, 'utf8');
+  return markdownInclude.findIncludeTags(rawData).length > 0;
+}
+
+function hasTemplateDirectives(sourceFilePath) {
+  if (readFrontMatter(sourceFilePath)) {
+    return true;
+  }
+  const rawData = fs.readFileSync(sourceFilePath, 'utf8');
+  if (rawData.split('\n').some((line) => CONDITIONAL_DIRECTIVE_PATTERN.test(line))) {
+    return true;
+  }
+  return Array.from(rawData.matchAll(TEMPLATE_VARIABLE_PATTERN)).some((match) => !match[1]);
+}
+
+module.exports = {
+  CONDITIONAL_DIRECTIVE_PATTERN,
+  createTemplateContext,
+  renderTemplateVariables,
+  evaluateCondition,
+  selectConditionalLines,
+  resolveIncludePath,
+  compileMarkdownLines,
+  compileMarkdownFile,
+  readOutputLines,
+  forEachUnfencedLine,
+  escapeTemplateVariables,
+  hasActiveIncludeTags,
+  hasTemplateDirectives,
+};
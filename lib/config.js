@@ -0,0 +1,222 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const JSON5 = require('json5');
+const { ConfigError, UsageError, WorkspaceError } = require('./errors');
+const { isChildPath } = require('./files');
+
+function normalizeWorkspace(workspace) {
+  return workspace.replace(/[\\/]+$/, '');
+}
+
+function toAbsoluteWorkspace(workspace, openclawDir) {
+  if (path.isAbsolute(workspace)) {
+    return workspace;
+  }
+
+  return path.resolve(path.join(openclawDir, workspace));
+}
+
+function expandWorkspace(workspace, field, openclawConfigPath) {
+  const expanded = workspace.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new ConfigError(`Environment variable ${name} is not set (used in ${field} in ${openclawConfigPath})`);
+    }
+    return process.env[name];
+  });
+  return /^~(?=$|[\\/])/.test(expanded) ? path.join(os.homedir(), expanded.slice(1)) : expanded;
+}
+
+// Turns a JSON5 parse error into " at line L, column C: <reason>", the shape both config files report.
+function describeJson5Error(error) {
+  const reason = error.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, '');
+  const location = error.lineNumber ? ` at line ${error.lineNumber}, column ${error.columnNumber}` : '';
+  return `${location}: ${reason}`;
+}
+
+function parseOpenclawConfig(openclawConfigPath) {
+  if (!fs.existsSync(openclawConfigPath)) {
+    throw new ConfigError(`Config file not found: ${openclawConfigPath}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON5.parse(fs.readFileSync(openclawConfigPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to parse JSON in ${openclawConfigPath}${describeJson5Error(error)}`);
+  }
+
+  const list = parsed && parsed.agents && parsed.agents.list;
+  if (!Array.isArray(list)) {
+    throw new ConfigError(`Invalid config format in ${openclawConfigPath}: expected .agents.list array`);
+  }
+
+  return parsed;
+}
+
+function getAgentId(agent) {
+  return typeof agent.id === 'string' && agent.id.trim() !== '' ? agent.id.trim() : undefined;
+}
+
+function getAgentEntries(openclawConfigPath, openclawDir) {
+  const parsed = parseOpenclawConfig(openclawConfigPath);
+  const list = parsed.agents.list;
+  const defaultsWorkspace =
+    parsed &&
+    parsed.agents &&
+    parsed.agents.defaults &&
+    typeof parsed.agents.defaults.workspace === 'string'
+      ? expandWorkspace(parsed.agents.defaults.workspace, 'agents.defaults.workspace', openclawConfigPath)
+      : path.join(openclawDir, 'workspace');
+  const agentDefaults =
+    parsed.agents.defaults && typeof parsed.agents.defaults === 'object' ? parsed.agents.defaults : {};
+  const entries = [];
+  const seenWorkspaces = new Set();
+  const seenIds = new Set();
+  const workspaceToAgentId = new Map();
+
+  for (const [index, agent] of list.entries()) {
+    if (!agent || typeof agent !== 'object') {
+      continue;
+    }
+
+    const agentId = getAgentId(agent);
+    if (!agentId) {
+      continue;
+    }
+
+    const rawWorkspace =
+      typeof agent.workspace === 'string' && agent.workspace.trim() !== ''
+        ? expandWorkspace(agent.workspace, `agents.list[${index}].workspace`, openclawConfigPath)
+        : agentId === 'main'
+          ? defaultsWorkspace
+          : undefined;
+    if (typeof rawWorkspace !== 'string' || rawWorkspace.trim() === '') {
+      continue;
+    }
+
+    const normalizedWorkspace = normalizeWorkspace(rawWorkspace);
+    const absoluteWorkspace = toAbsoluteWorkspace(normalizedWorkspace, openclawDir);
+    if (seenIds.has(agentId)) {
+      throw new ConfigError(`Duplicate agent id in ${openclawConfigPath}: ${agentId}`);
+    }
+    if (workspaceToAgentId.has(absoluteWorkspace)) {
+      throw new ConfigError(
+        `Duplicate workspace in ${openclawConfigPath}: ${absoluteWorkspace} (agents: ${workspaceToAgentId.get(absoluteWorkspace)}, ${agentId})`,
+      );
+    }
+
+    seenWorkspaces.add(absoluteWorkspace);
+    seenIds.add(agentId);
+    workspaceToAgentId.set(absoluteWorkspace, agentId);
+    entries.push({
+      name: agentId,
+      id: agentId,
+      workspace: absoluteWorkspace,
+      config: agent,
+      defaults: agentDefaults,
+    });
+  }
+
+  const absoluteDefaultsWorkspace = toAbsoluteWorkspace(normalizeWorkspace(defaultsWorkspace), openclawDir);
+  if (!seenWorkspaces.has(absoluteDefaultsWorkspace) && !seenIds.has('main')) {
+    seenWorkspaces.add(absoluteDefaultsWorkspace);
+    seenIds.add('main');
+    entries.push({
+      name: 'main',
+      id: 'main',
+      workspace: absoluteDefaultsWorkspace,
+      config: {},
+      defaults: agentDefaults,
+    });
+  }
+
+  if (entries.length === 0) {
+    throw new ConfigError(`No valid agent workspaces found in ${openclawConfigPath}`);
+  }
+
+  return entries;
+}
+
+function getAgentNames(openclawConfigPath, openclawDir) {
+  return getAgentEntries(openclawConfigPath, openclawDir).map((entry) => entry.name);
+}
+
+function countSkippedAgentEntries(parsed) {
+  return parsed.agents.list.filter((agent) => {
+    if (!agent || typeof agent !== 'object') {
+      return true;
+    }
+    const hasExplicitWorkspace = typeof agent.workspace === 'string' && agent.workspace.trim() !== '';
+    if (hasExplicitWorkspace) {
+      return false;
+    }
+    return getAgentId(agent) !== 'main';
+  }).length;
+}
+
+function getSkippedAgentWarnings(parsed, openclawConfigPath) {
+  const skipped = countSkippedAgentEntries(parsed);
+  if (skipped === 0) {
+    return [];
+  }
+  return [`Skipped ${skipped} invalid workspace entr${skipped === 1 ? 'y' : 'ies'} in ${openclawConfigPath}`];
+}
+
+function selectBuildTargets(
+  agentEntries,
+  workspaceArg,
+  openclawDir,
+  allowExternalWorkspacePath,
+  openclawConfigPath,
+) {
+  if (!workspaceArg) {
+    return agentEntries;
+  }
+
+  const normalizedArg = normalizeWorkspace(workspaceArg);
+  const isWorkspacePathSelector =
+    path.isAbsolute(workspaceArg) ||
+    workspaceArg.includes('/') ||
+    workspaceArg.includes('\\\\') ||
+    workspaceArg.startsWith('.');
+  const exactWorkspaceMatches = agentEntries.filter((entry) => normalizeWorkspace(entry.workspace) === normalizedArg);
+  if (exactWorkspaceMatches.length > 0) {
+    if (isWorkspacePathSelector && !allowExternalWorkspacePath) {
+      const openclawRoot = openclawDir;
+      for (const entry of exactWorkspaceMatches) {
+        if (!isChildPath(openclawRoot, entry.workspace)) {
+          throw new WorkspaceError(`Refusing to target workspace outside ${openclawRoot}: ${entry.workspace}`, {
+            hint: `Use --force to allow building to workspace paths outside ${openclawRoot}.`,
+          });
+        }
+      }
+    }
+    return exactWorkspaceMatches;
+  }
+
+  const nameMatches = agentEntries.filter((entry) => entry.id === normalizedArg);
+  if (nameMatches.length === 1) {
+    return nameMatches;
+  }
+
+  if (nameMatches.length > 1) {
+    throw new UsageError(`Agent id is ambiguous: ${workspaceArg}.`, {
+      hint: `Use an exact workspace path from ${openclawConfigPath}.`,
+    });
+  }
+
+  throw new UsageError(`Agent id or workspace path not found in ${openclawConfigPath}: ${workspaceArg}`);
+}
+
+module.exports = {
+  normalizeWorkspace,
+  describeJson5Error,
+  parseOpenclawConfig,
+  getAgentId,
+  getAgentEntries,
+  getAgentNames,
+  countSkippedAgentEntries,
+  getSkippedAgentWarnings,
+  selectBuildTargets,
+};
@@ -0,0 +1,309 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { getInitPaths, resolveTemplateDir } = require('./paths');
+const { isChildPath, toManifestKey } = require('./files');
+const {
+  getAgentEntries,
+  getAgentNames,
+  parseOpenclawConfig,
+  countSkippedAgentEntries,
+  getSkippedAgentWarnings,
+} = require('./config');
+const { listAgentTemplateFiles, listIgnoredTemplateFiles, resolveTemplateLayers } = require('./layers');
+const {
+  DEFAULT_PRESET,
+  getEntrypointTemplateFiles,
+  assertIncludesTemplatesDir,
+  listPresets,
+  parsePresetOptions,
+  seedAgentTemplates,
+} = require('./templates');
+const { SETTINGS_FILE, inspectSettings } = require('./settings');
+const { collectIncludeGraph } = require('./graph');
+const { findLikelyRenames, findOrphanedTemplateDirs } = require('./setup');
+
+const DOCTOR_CHECKS = [
+  ['templates-dir', 'Templates directory'],
+  ['templates-config', 'Templates config'],
+  ['shared-includes', 'Shared includes'],
+  ['agent-template-dirs', 'Agent template directories'],
+  ['includes', 'Include paths'],
+  ['include-cycles', 'Include cycles'],
+  ['orphaned-template-dirs', 'Orphaned template directories'],
+  ['workspaces', 'Workspaces'],
+];
+
+function createCheckList() {
+  const checks = new Map(DOCTOR_CHECKS.map(([id, title]) => [id, { id, title, status: 'ok', problems: [] }]));
+  const report = (id, severity, message, details = {}) => {
+    checks.get(id).problems.push({ severity, message, fixable: false, fixed: false, ...details });
+  };
+  return { checks, report };
+}
+
+function getCheckStatus(check) {
+  const open = check.problems.filter((problem) => !problem.fixed);
+  if (open.some((problem) => problem.severity === 'error')) {
+    return 'error';
+  }
+  if (open.length > 0) {
+    return 'warning';
+  }
+  return check.problems.length > 0 ? 'fixed' : check.status;
+}
+
+function findWritableProblem(workspace) {
+  let existing = workspace;
+  while (!fs.existsSync(existing)) {
+    existing = path.dirname(existing);
+  }
+  if (existing === workspace && !fs.statSync(workspace).isDirectory()) {
+    return `Workspace path is not a directory: ${workspace}`;
+  }
+
+  try {
+    fs.accessSync(existing, fs.constants.W_OK);
+    return undefined;
+  } catch {
+    return existing === workspace
+      ? `Workspace is not writable: ${workspace}`
+      : `Workspace cannot be created, ${existing} is not writable: ${workspace}`;
+  }
+}
+
+function checkWorkspaces(entries, report) {
+  for (const entry of entries) {
+    const problem = findWritableProblem(entry.workspace);
+    if (problem) {
+      report('workspaces', 'error', `${entry.id}: ${problem}`, { path: entry.workspace });
+    }
+
+    // A build or --wipe of the outer workspace would overwrite or delete the inner agent's files.
+    const outer = entries.find((other) => other !== entry && isChildPath(other.workspace, entry.workspace));
+    if (outer) {
+      report('workspaces', 'error', `${entry.id}: workspace is nested inside the workspace of ${outer.id}`, {
+        path: entry.workspace,
+      });
+    }
+  }
+}
+
+// Policies that can never apply are most likely typos; a never-touch policy over a template file hides it from builds.
+function checkPathPolicies(targetDir, settings, entries, report) {
+  const matched = new Set();
+  for (const entry of entries) {
+    let files;
+    try {
+      files = listAgentTemplateFiles(resolveTemplateLayers(path.join(targetDir, entry.name)).layers, entry);
+    } catch {
+      // Front matter errors are reported by the include graph check.
+      continue;
+    }
+    for (const file of files) {
+      const key = toManifestKey(file.relativePath);
+      const policy = settings.policies.find((candidate) => candidate.regExp.test(key));
+      if (!policy) {
+        continue;
+      }
+      matched.add(policy);
+      if (policy.policy === 'never-touch') {
+        const message = `${SETTINGS_FILE}: never-touch policy "${policy.pattern}" keeps ${key} from being built for ${entry.id}`;
+        report('templates-config', 'warning', message, { path: file.absolutePath });
+      }
+    }
+  }
+
+  for (const policy of settings.policies.filter((candidate) => !matched.has(candidate))) {
+    if (policy.policy !== 'never-touch') {
+      const message = `${SETTINGS_FILE}: ${policy.policy} policy "${policy.pattern}" matches no template file`;
+      report('templates-config', 'warning', message, { path: settings.path });
+    }
+  }
+}
+
+function checkIncludeGraph(targetDir, includesTemplatesDir, entries, report, fix) {
+  const sharedIncludesDir = path.join(targetDir, '.includes');
+  const reported = new Set();
+  const restored = [];
+  const label = (filePath) => toManifestKey(path.relative(targetDir, filePath));
+
+  const visit = (parentPath, nodes) => {
+    for (const node of nodes) {
+      const key = `${parentPath}:${node.lineNumber}:${node.filePath}`;
+      if (!reported.has(key) && (node.missing || node.cycle)) {
+        reported.add(key);
+        const where = `${label(parentPath)}:${node.lineNumber}`;
+        if (node.cycle) {
+          report('include-cycles', 'error', `${where} includes ${label(node.filePath)}, which includes it back`, {
+            path: node.filePath,
+          });
+        } else {
+          // Shared includes that still ship with the package can be restored; anything else has to be fixed by hand.
+          const packagedPath = isChildPath(sharedIncludesDir, node.filePath)
+            ? path.join(includesTemplatesDir, path.relative(sharedIncludesDir, node.filePath))
+            : undefined;
+          const fixable = Boolean(packagedPath && fs.existsSync(packagedPath));
+          let fixed = false;
+          if (fixable && fix && !fs.existsSync(node.filePath)) {
+            fs.mkdirSync(path.dirname(node.filePath), { recursive: true });
+            fs.copyFileSync(packagedPath, node.filePath);
+            restored.push(node.filePath);
+            fixed = true;
+          }
+          report('includes', 'error', `${where} includes missing ${label(node.filePath)}`, {
+            path: node.filePath,
+            fixable,
+            fixed: fixed || restored.includes(node.filePath),
+          });
+        }
+      }
+      visit(node.filePath, node.includes);
+    }
+  };
+
+  const graph = collectIncludeGraph(targetDir, entries, (entry, error) => {
+    report('agent-template-dirs', 'error', `${entry.name}: ${error.message}`, {
+      path: path.join(targetDir, entry.name),
+    });
+  });
+  for (const { entrypoints } of graph.agents) {
+    for (const entrypoint of entrypoints) {
+      visit(entrypoint.filePath, entrypoint.includes);
+    }
+  }
+  return restored;
+}
+
+async function doctor(options = {}) {
+  const fix = Boolean(options.fix);
+  // Read leniently here so a broken templates config is reported as a problem instead of stopping the checks.
+  const { settings, problems: settingsProblems } = inspectSettings(
+    resolveTemplateDir(options.templatesDir, os.homedir()),
+  );
+  const { openclawDir, targetDir, openclawConfigPath, baseTemplatesDir, includesTemplatesDir, presetsTemplatesDir } =
+    getInitPaths(options.openclawDir, options.templatesDir, settings);
+  const parsed = parseOpenclawConfig(openclawConfigPath);
+  const agentNames = getAgentNames(openclawConfigPath, openclawDir);
+  const entries = getAgentEntries(openclawConfigPath, openclawDir);
+  const entrypointTemplateFiles = getEntrypointTemplateFiles(baseTemplatesDir);
+  assertIncludesTemplatesDir(includesTemplatesDir);
+
+  const { checks, report } = createCheckList();
+  const fixed = [];
+  let ignoredFiles = [];
+
+  checkWorkspaces(entries, report);
+
+  if (!fs.existsSync(targetDir) || !fs.statSync(targetDir).isDirectory()) {
+    // Not an error: doctor is also the first thing to run before `init`.
+    for (const check of checks.values()) {
+      if (check.id !== 'workspaces') {
+        check.status = 'skipped';
+      }
+    }
+    checks.get('templates-dir').message = `${targetDir} not found; run \`openclaw-templates init\` to create it`;
+  } else {
+    for (const problem of settingsProblems) {
+      report('templates-config', 'error', `${SETTINGS_FILE}: ${problem}`, { path: settings.path });
+    }
+
+    const sharedIncludesDir = path.join(targetDir, '.includes');
+    if (!fs.existsSync(sharedIncludesDir)) {
+      if (fix) {
+        fs.cpSync(includesTemplatesDir, sharedIncludesDir, { recursive: true });
+        fixed.push(`Restored ${sharedIncludesDir} from the package`);
+      }
+      report('shared-includes', 'error', `Shared includes directory not found: ${sharedIncludesDir}`, {
+        path: sharedIncludesDir,
+        fixable: true,
+        fixed: fix,
+      });
+    }
+
+    const layerDirs = new Set();
+    const resolveLayers = (entry) => {
+      const agentTemplatesDir = path.join(targetDir, entry.name);
+      try {
+        resolveTemplateLayers(agentTemplatesDir).layers.forEach((layerDir) => layerDirs.add(layerDir));
+        return true;
+      } catch (error) {
+        report('agent-template-dirs', 'error', `${entry.name}: ${error.message}`, { path: agentTemplatesDir });
+        return false;
+      }
+    };
+    const missingEntries = entries.filter((entry) => !fs.existsSync(path.join(targetDir, entry.name)));
+    const validEntries = new Set(entries.filter((entry) => !missingEntries.includes(entry) && resolveLayers(entry)));
+
+    const orphanNames = findOrphanedTemplateDirs(targetDir, agentNames, layerDirs);
+    const renames = findLikelyRenames(targetDir, entries, orphanNames);
+
+    const availablePresets = listPresets(presetsTemplatesDir, targetDir);
+    const defaultPreset = availablePresets.get(DEFAULT_PRESET);
+    try {
+      parsePresetOptions(settings.presets, availablePresets, agentNames, openclawConfigPath);
+    } catch (error) {
+      report('templates-config', 'error', `${SETTINGS_FILE}: ${error.message}`, { path: settings.path });
+    }
+    for (const entry of missingEntries) {
+      const agentTemplatesDir = path.join(targetDir, entry.name);
+      const rename = renames.find((candidate) => candidate.to === entry.name);
+      if (rename) {
+        // Seeding a fresh dir here would hide the rename from `prune-agents`.
+        const message = `Template directory not found for agent ${entry.name}; ${rename.from} looks like its old id`;
+        report('agent-template-dirs', 'error', `${message} (see \`prune-agents\`)`, { path: agentTemplatesDir });
+        continue;
+      }
+
+      if (fix) {
+        seedAgentTemplates(agentTemplatesDir, baseTemplatesDir, entrypointTemplateFiles, defaultPreset);
+        fixed.push(`Recreated ${agentTemplatesDir} from the ${DEFAULT_PRESET} preset`);
+        if (resolveLayers(entry)) {
+          validEntries.add(entry);
+        }
+      }
+      report('agent-template-dirs', 'error', `Template directory not found for agent ${entry.name}`, {
+        path: agentTemplatesDir,
+        fixable: true,
+        fixed: fix,
+      });
+    }
+
+    const agents = entries.filter((entry) => validEntries.has(entry));
+    ignoredFiles = [...layerDirs].sort().flatMap((layerDir) =>
+      listIgnoredTemplateFiles(layerDir).map((file) => ({
+        path: toManifestKey(path.relative(targetDir, file.absolutePath)),
+        rule: `${file.rule.source}:${file.rule.line}`,
+        pattern: file.rule.pattern,
+      })),
+    );
+    checkPathPolicies(targetDir, settings, agents, report);
+    for (const filePath of checkIncludeGraph(targetDir, includesTemplatesDir, agents, report, fix)) {
+      fixed.push(`Restored ${filePath} from the package`);
+    }
+
+    for (const name of orphanNames.filter((orphanName) => !renames.some((rename) => rename.from === orphanName))) {
+      const message = `${name} does not match any agent in ${openclawConfigPath} (see \`prune-agents\`)`;
+      report('orphaned-template-dirs', 'warning', message, { path: path.join(targetDir, name) });
+    }
+  }
+
+  const checkList = [...checks.values()].map((check) => ({ ...check, status: getCheckStatus(check) }));
+  return {
+    ok: checkList.every((check) => check.status !== 'error'),
+    openclawConfigPath,
+    templatesDir: targetDir,
+    agents: agentNames,
+    entrypointTemplates: entrypointTemplateFiles,
+    skippedAgentEntries: countSkippedAgentEntries(parsed),
+    ignoredFiles,
+    checks: checkList,
+    fixed,
+    warnings: getSkippedAgentWarnings(parsed, openclawConfigPath),
+  };
+}
+
+module.exports = {
+  DOCTOR_CHECKS,
+  doctor,
+};
@@ -0,0 +1,80 @@
+class OpenclawTemplatesError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'OCLAWTPL_ERROR';
+    // Follow-up advice printed by the CLI on its own line, e.g. which command to run next.
+    this.hint = options.hint;
+  }
+}
+
+// openclaw.json or a template config file is missing, unreadable or invalid.
+class ConfigError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_CONFIG', ...options });
+  }
+}
+
+// The templates dir (or the templates shipped with the package) is missing or incomplete.
+class TemplatesDirError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_TEMPLATES_DIR', ...options });
+  }
+}
+
+// A template could not be compiled: unknown variable, bad conditional, missing or circular include.
+class TemplateCompileError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_COMPILE', ...options });
+    this.filePath = options.filePath;
+  }
+}
+
+// A workspace target is unsafe or not usable as a directory.
+class WorkspaceError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_WORKSPACE', ...options });
+  }
+}
+
+// Compiled workspace files were changed since the last build and would be overwritten.
+class DriftError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_DRIFT', ...options });
+    this.files = options.files || [];
+  }
+}
+
+// Compiled workspace files are over a configured token budget.
+class BudgetError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_BUDGET', ...options });
+    this.violations = options.violations || [];
+  }
+}
+
+// An include pack could not be fetched, unpacked or installed.
+class PackError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_PACK', ...options });
+  }
+}
+
+// An option or argument does not match anything known (agent id, preset, format, ...).
+class UsageError extends OpenclawTemplatesError {
+  constructor(message, options = {}) {
+    super(message, { code: 'OCLAWTPL_USAGE', ...options });
+  }
+}
+
+module.exports = {
+  OpenclawTemplatesError,
+  ConfigError,
+  TemplatesDirError,
+  TemplateCompileError,
+  WorkspaceError,
+  DriftError,
+  BudgetError,
+  PackError,
+  UsageError,
+};
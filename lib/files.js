@@ -0,0 +1,132 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { WorkspaceError } = require('./errors');
+
+function listFilesRecursive(rootDir) {
+  const files = [];
+
+  function walk(currentDir, relativeDir) {
+    const entries = fs
+      .readdirSync(currentDir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const absolutePath = path.join(currentDir, entry.name);
+      const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
+
+      if (entry.isDirectory()) {
+        walk(absolutePath, relativePath);
+      } else if (entry.isFile()) {
+        files.push({
+          absolutePath,
+          relativePath,
+        });
+      }
+    }
+  }
+
+  walk(rootDir, '');
+  return files;
+}
+
+// `keep` is asked about every path below dirPath; directories left empty by a partial clear are removed.
+function clearDirectoryContents(dirPath, keep = () => false) {
+  if (!fs.existsSync(dirPath)) {
+    return;
+  }
+
+  if (!fs.statSync(dirPath).isDirectory()) {
+    throw new WorkspaceError(`Workspace path is not a directory: ${dirPath}`);
+  }
+
+  function clear(currentDir, relativeDir) {
+    for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      const absolutePath = path.join(currentDir, entry.name);
+      const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
+      if (relativePath === '.git' || keep(relativePath)) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        clear(absolutePath, relativePath);
+        if (fs.readdirSync(absolutePath).length === 0) {
+          fs.rmdirSync(absolutePath);
+        }
+      } else {
+        fs.rmSync(absolutePath, { force: true });
+      }
+    }
+  }
+
+  clear(dirPath, '');
+}
+
+function pathTouchesGitMetadata(relativePath) {
+  const normalized = relativePath.replace(/\\/g, '/');
+  const segments = normalized.split('/').filter(Boolean);
+  return segments.includes('.git');
+}
+
+function isChildPath(parentDir, childDir) {
+  const resolvedParent = path.resolve(parentDir);
+  const resolvedChild = path.resolve(childDir);
+  const relativePath = path.relative(resolvedParent, resolvedChild);
+  return relativePath !== '' && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+function readExistingFile(filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return undefined;
+  }
+  return fs.readFileSync(filePath);
+}
+
+function toManifestKey(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches whole manifest keys: `*`, `?` and `[...]` stay within one path segment, `**` spans any number of them,
+// and a backslash makes the next character literal.
+function globToRegExp(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    const classEnd = char === '[' ? pattern.indexOf(']', index + 2) : -1;
+    if (char === '\\' && index + 1 < pattern.length) {
+      source += escapeRegExp(pattern[index + 1]);
+      index += 1;
+    } else if (classEnd !== -1) {
+      const members = pattern
+        .slice(index + 1, classEnd)
+        .replace(/^!/, '^')
+        .replace(/\\/g, '\\\\');
+      source += `(?!/)[${members}]`;
+      index = classEnd;
+    } else if (pattern.startsWith('**/', index)) {
+      source += '(?:.*/)?';
+      index += 2;
+    } else if (pattern.startsWith('**', index)) {
+      source += '.*';
+      index += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  listFilesRecursive,
+  clearDirectoryContents,
+  pathTouchesGitMetadata,
+  isChildPath,
+  readExistingFile,
+  toManifestKey,
+  globToRegExp,
+};
@@ -0,0 +1,104 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const YAML = require('yaml');
+const { ConfigError } = require('./errors');
+
+const FRONT_MATTER_KEYS = ['output', 'agents', 'exclude-agents', 'enabled', 'mode'];
+const TEMPLATE_MODES = ['managed', 'seed'];
+
+function invalidFrontMatter(filePath, message) {
+  return new ConfigError(`Invalid front matter in ${filePath}: ${message}`);
+}
+
+function readAgentList(value, key, filePath) {
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || list.some((id) => typeof id !== 'string' || id.trim() === '')) {
+    throw invalidFrontMatter(filePath, `${key} must be an agent id or a list of agent ids`);
+  }
+  return list.map((id) => id.trim());
+}
+
+function validateFrontMatter(parsed, filePath) {
+  const unknown = Object.keys(parsed).filter((key) => !FRONT_MATTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown front matter key in ${filePath}: ${unknown.join(', ')}`, {
+      hint: `Only ${FRONT_MATTER_KEYS.join(', ')} are read; put front matter meant for the output in a second block below.`,
+    });
+  }
+
+  const frontMatter = { enabled: true };
+  if (parsed.output !== undefined) {
+    const output = typeof parsed.output === 'string' ? path.normalize(parsed.output.trim()) : '';
+    if (output === '' || output === '.' || path.isAbsolute(output) || output.split(path.sep).includes('..')) {
+      throw invalidFrontMatter(filePath, 'output must be a relative path inside the workspace');
+    }
+    frontMatter.output = output;
+  }
+  if (parsed.agents !== undefined) {
+    frontMatter.agents = readAgentList(parsed.agents, 'agents', filePath);
+  }
+  if (parsed['exclude-agents'] !== undefined) {
+    frontMatter.excludeAgents = readAgentList(parsed['exclude-agents'], 'exclude-agents', filePath);
+  }
+  if (parsed.enabled !== undefined) {
+    if (typeof parsed.enabled !== 'boolean') {
+      throw invalidFrontMatter(filePath, 'enabled must be true or false');
+    }
+    frontMatter.enabled = parsed.enabled;
+  }
+  if (parsed.mode !== undefined) {
+    if (!TEMPLATE_MODES.includes(parsed.mode)) {
+      throw invalidFrontMatter(filePath, `mode must be one of ${TEMPLATE_MODES.join(', ')}`);
+    }
+    frontMatter.mode = parsed.mode;
+  }
+  return frontMatter;
+}
+
+// A leading `---` block is only ours when it sets one of FRONT_MATTER_KEYS; any other front matter (such as the
+// summary/read_when blocks OpenClaw docs use) is template content and passes through to the workspace.
+function readFrontMatter(filePath) {
+  if (!filePath.endsWith('.md')) {
+    return undefined;
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  if (lines[0].trimEnd() !== '---') {
+    return undefined;
+  }
+  const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (end === -1) {
+    return undefined;
+  }
+
+  let parsed;
+  try {
+    parsed = YAML.parse(lines.slice(1, end).join('\n'));
+  } catch (error) {
+    throw new ConfigError(`Failed to parse front matter in ${filePath}: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return undefined;
+  }
+  if (!FRONT_MATTER_KEYS.some((key) => Object.prototype.hasOwnProperty.call(parsed, key))) {
+    return undefined;
+  }
+  return { ...validateFrontMatter(parsed, filePath), lineCount: end + 1 };
+}
+
+function isBuiltForAgent(frontMatter, entry) {
+  if (!frontMatter.enabled) {
+    return false;
+  }
+  if (frontMatter.agents && !frontMatter.agents.includes(entry.id)) {
+    return false;
+  }
+  return !(frontMatter.excludeAgents && frontMatter.excludeAgents.includes(entry.id));
+}
+
+module.exports = {
+  FRONT_MATTER_KEYS,
+  TEMPLATE_MODES,
+  readFrontMatter,
+  isBuiltForAgent,
+};
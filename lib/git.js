@@ -0,0 +1,106 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { WorkspaceError } = require('./errors');
+const { toManifestKey } = require('./files');
+
+function runGit(cwd, args, missingGitHint = 'Install git, or run without --commit / --git.') {
+  const result = spawnSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_LITERAL_PATHSPECS: '1' },
+  });
+  if (result.error) {
+    throw new WorkspaceError(`Failed to run git in ${cwd}: ${result.error.message}`, {
+      hint: missingGitHint,
+      cause: result.error,
+    });
+  }
+  if (result.status !== 0) {
+    throw new WorkspaceError(`git ${args[0]} failed in ${cwd}: ${(result.stderr || result.stdout).trim()}`);
+  }
+  return result.stdout;
+}
+
+function splitNul(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+function isGitRepository(dir) {
+  return fs.existsSync(path.join(dir, '.git'));
+}
+
+function listUncommittedChanges(dir) {
+  const records = runGit(dir, ['status', '--porcelain', '-z', '--untracked-files=all']).split('\0');
+  const changes = [];
+  for (let index = 0; index < records.length; index += 1) {
+    if (records[index]) {
+      changes.push(records[index].slice(3));
+      // Renames and copies are followed by a second record holding the original path.
+      if (/[RC]/.test(records[index].slice(0, 2))) {
+        index += 1;
+      }
+    }
+  }
+  return changes;
+}
+
+// Commits only the given paths, leaving anything else in the index or working tree alone.
+function commitPaths(dir, relativePaths, message) {
+  const pathspecs = relativePaths.map(toManifestKey);
+  const existing = pathspecs.filter((pathspec) => fs.existsSync(path.join(dir, pathspec)));
+  const removed = pathspecs.filter((pathspec) => !existing.includes(pathspec));
+
+  if (existing.length > 0) {
+    const ignored = new Set(
+      splitNul(runGit(dir, ['ls-files', '-z', '--others', '--ignored', '--exclude-standard', '--', ...existing])),
+    );
+    const added = existing.filter((pathspec) => !ignored.has(pathspec));
+    if (added.length > 0) {
+      runGit(dir, ['add', '--', ...added]);
+    }
+  }
+  if (removed.length > 0) {
+    runGit(dir, ['rm', '--cached', '--quiet', '--ignore-unmatch', '--', ...removed]);
+  }
+
+  const staged = splitNul(runGit(dir, ['diff', '--cached', '--name-only', '-z', '--', ...pathspecs]));
+  if (staged.length === 0) {
+    return undefined;
+  }
+  runGit(dir, ['commit', '--quiet', '-m', message, '--', ...staged]);
+  return runGit(dir, ['rev-parse', 'HEAD']).trim();
+}
+
+function initRepository(dir, message) {
+  const initialized = !isGitRepository(dir);
+  if (initialized) {
+    runGit(dir, ['init', '--quiet']);
+  }
+
+  runGit(dir, ['add', '--all']);
+  const staged = splitNul(runGit(dir, ['diff', '--cached', '--name-only', '-z']));
+  if (staged.length > 0) {
+    runGit(dir, ['commit', '--quiet', '-m', message]);
+  }
+  return { initialized, commit: staged.length > 0 ? runGit(dir, ['rev-parse', 'HEAD']).trim() : undefined };
+}
+
+// Shallow-clones a repository at a branch or tag (the default branch when no ref is given) and returns the commit.
+function cloneRepository(url, ref, dir) {
+  const hint = 'Install git, or install the pack from a folder or tarball instead.';
+  runGit(
+    path.dirname(dir),
+    ['clone', '--quiet', '--depth', '1', ...(ref ? ['--branch', ref] : []), '--', url, dir],
+    hint,
+  );
+  return runGit(dir, ['rev-parse', 'HEAD'], hint).trim();
+}
+
+module.exports = {
+  isGitRepository,
+  listUncommittedChanges,
+  commitPaths,
+  initRepository,
+  cloneRepository,
+};
@@ -0,0 +1,269 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const markdownInclude = require('markdown-include');
+const { UsageError } = require('./errors');
+const { listFilesRecursive, toManifestKey } = require('./files');
+const { listAgentTemplateFiles, resolveTemplateLayers } = require('./layers');
+const { createIgnoreMatcher } = require('./ignore');
+const {
+  createTemplateContext,
+  hasActiveIncludeTags,
+  renderTemplateVariables,
+  resolveIncludePath,
+  selectConditionalLines,
+} = require('./compile');
+const { getAgentTemplatesDir, resolveBuildTargets } = require('./build');
+
+const GRAPH_FORMATS = ['text', 'json', 'dot'];
+
+function findIncludeReferences(sourceFilePath, includeRootDir, context, includeDirs) {
+  const lines = fs.readFileSync(sourceFilePath, 'utf8').split('\n');
+  // Includes in inactive #if branches are never resolved for this agent, so they are not part of its graph.
+  let selected;
+  try {
+    selected = selectConditionalLines(lines, context, sourceFilePath);
+  } catch {
+    // Broken directives are reported by build; every line still shows what the template points at.
+    selected = lines.map((line, index) => ({ line, lineNumber: index + 1 }));
+  }
+
+  return selected.flatMap(({ line, lineNumber }) => {
+    let rendered = line;
+    try {
+      rendered = renderTemplateVariables(line, context, sourceFilePath, lineNumber);
+    } catch {
+      // Unknown variables are reported by build; the raw tag still shows what the template points at.
+    }
+
+    const [includeTag] = markdownInclude.findIncludeTags(rendered);
+    if (!includeTag) {
+      return [];
+    }
+    const filePath = resolveIncludePath(includeRootDir, markdownInclude.parseIncludeTag(includeTag), includeDirs);
+    return [{ filePath, lineNumber }];
+  });
+}
+
+function buildIncludeTree(sourceFilePath, includeRootDir, context, includeDirs, includeStack) {
+  return findIncludeReferences(sourceFilePath, includeRootDir, context, includeDirs).map(({ filePath, lineNumber }) => {
+    const node = { filePath, lineNumber, includes: [] };
+    if (!fs.existsSync(filePath)) {
+      node.missing = true;
+    } else if (includeStack.includes(filePath)) {
+      node.cycle = true;
+    } else {
+      node.includes = buildIncludeTree(filePath, includeRootDir, context, includeDirs, [...includeStack, filePath]);
+    }
+    return node;
+  });
+}
+
+// `onAgentError(entry, error)` lets callers report an agent whose template files cannot be listed (e.g. invalid front
+// matter) and carry on with the others; without it the error is thrown.
+function collectIncludeGraph(targetDir, agentEntries, onAgentError) {
+  const usedIncludes = new Set();
+  const scannedIncludeDirs = new Set([path.join(targetDir, '.includes')]);
+  const markUsed = (nodes) => {
+    for (const node of nodes) {
+      usedIncludes.add(node.filePath);
+      markUsed(node.includes);
+    }
+  };
+
+  const agents = agentEntries.map((entry) => {
+    const agentTemplatesDir = getAgentTemplatesDir(targetDir, entry, 'Run `openclaw-templates pull-agents` to add it.');
+
+    const context = createTemplateContext(entry);
+    const { layers, includeDirs } = resolveTemplateLayers(agentTemplatesDir);
+    includeDirs.forEach((includeDir) => scannedIncludeDirs.add(includeDir));
+    let files;
+    try {
+      files = listAgentTemplateFiles(layers, entry);
+    } catch (error) {
+      if (!onAgentError) {
+        throw error;
+      }
+      onAgentError(entry, error);
+      return { entry, entrypoints: [] };
+    }
+    const entrypoints = files
+      .filter((file) => file.absolutePath.endsWith('.md') && hasActiveIncludeTags(file.absolutePath))
+      .map((file) => ({
+        filePath: file.absolutePath,
+        includes: buildIncludeTree(file.absolutePath, path.dirname(file.absolutePath), context, includeDirs, [
+          file.absolutePath,
+        ]),
+      }));
+    entrypoints.forEach((entrypoint) => markUsed(entrypoint.includes));
+    return { entry, entrypoints };
+  });
+
+  // Fragments matched by an ignore file are drafts, not orphans.
+  const findIgnoreRule = createIgnoreMatcher(targetDir);
+  const orphans = [...scannedIncludeDirs]
+    .filter((includeDir) => fs.existsSync(includeDir))
+    .flatMap((includeDir) => listFilesRecursive(includeDir))
+    .filter((file) => file.relativePath.endsWith('.md') && !usedIncludes.has(file.absolutePath))
+    .filter((file) => !findIgnoreRule(file.absolutePath))
+    .map((file) => file.absolutePath);
+
+  return { agents, orphans };
+}
+
+function formatGraphNode(node, targetDir) {
+  const formatted = {
+    file: toManifestKey(path.relative(targetDir, node.filePath)),
+    line: node.lineNumber,
+    includes: node.includes.map((child) => formatGraphNode(child, targetDir)),
+  };
+  if (node.missing) {
+    formatted.missing = true;
+  }
+  if (node.cycle) {
+    formatted.cycle = true;
+  }
+  return formatted;
+}
+
+function assertGraphFormat(format) {
+  if (!GRAPH_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown graph format: ${format} (expected one of: ${GRAPH_FORMATS.join(', ')})`);
+  }
+}
+
+function renderIncludeGraphText(report) {
+  const lines = [];
+  const addNodes = (nodes, depth) => {
+    for (const node of nodes) {
+      const suffix = node.missing ? ' (missing)' : node.cycle ? ' (cycle)' : '';
+      lines.push(`${'  '.repeat(depth)}${node.file}${suffix}`);
+      addNodes(node.includes, depth + 1);
+    }
+  };
+
+  for (const agent of report.agents) {
+    lines.push(agent.id);
+    for (const entrypoint of agent.entrypoints) {
+      lines.push(`  ${entrypoint.file}`);
+      addNodes(entrypoint.includes, 2);
+    }
+  }
+
+  lines.push(`Orphaned includes (${report.orphans.length}):`);
+  for (const orphan of report.orphans) {
+    lines.push(`  ${orphan}`);
+  }
+  return lines.join('\n');
+}
+
+function renderIncludeGraphDot(report) {
+  const quote = (value) => JSON.stringify(value);
+  const lines = ['digraph includes {', '  rankdir=LR;'];
+  const edges = new Set();
+  const addEdges = (parentLabel, nodes) => {
+    for (const node of nodes) {
+      edges.add(`  ${parentLabel} -> ${quote(node.file)};`);
+      addEdges(quote(node.file), node.includes);
+    }
+  };
+
+  for (const agent of report.agents) {
+    lines.push(`  ${quote(`agent:${agent.id}`)} [shape=box];`);
+    for (const entrypoint of agent.entrypoints) {
+      edges.add(`  ${quote(`agent:${agent.id}`)} -> ${quote(entrypoint.file)};`);
+      addEdges(quote(entrypoint.file), entrypoint.includes);
+    }
+  }
+  lines.push(...edges);
+  for (const orphan of report.orphans) {
+    lines.push(`  ${quote(orphan)} [style=dashed];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function renderIncludeGraph(report, format = 'text') {
+  assertGraphFormat(format);
+  if (format === 'json') {
+    return JSON.stringify({ agents: report.agents, orphans: report.orphans }, null, 2);
+  }
+  return format === 'dot' ? renderIncludeGraphDot(report) : renderIncludeGraphText(report);
+}
+
+async function graph(options = {}) {
+  if (options.format !== undefined) {
+    assertGraphFormat(options.format);
+  }
+
+  const { targetDir, entries, warnings } = resolveBuildTargets(options, true);
+  const includeGraph = collectIncludeGraph(targetDir, entries);
+  return {
+    templatesDir: targetDir,
+    agents: includeGraph.agents.map(({ entry, entrypoints }) => ({
+      id: entry.id,
+      entrypoints: entrypoints.map((entrypoint) => ({
+        file: toManifestKey(path.relative(targetDir, entrypoint.filePath)),
+        includes: entrypoint.includes.map((node) => formatGraphNode(node, targetDir)),
+      })),
+    })),
+    orphans: includeGraph.orphans.map((orphan) => toManifestKey(path.relative(targetDir, orphan))),
+    warnings,
+  };
+}
+
+function resolveIncludeArgument(includeArg, targetDir) {
+  if (path.isAbsolute(includeArg)) {
+    return includeArg;
+  }
+
+  const candidates = [
+    path.resolve(targetDir, includeArg),
+    path.resolve(targetDir, '.includes', includeArg),
+    path.resolve(includeArg),
+  ];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
+}
+
+async function whereUsed(options = {}) {
+  const { targetDir, entries, warnings } = resolveBuildTargets({ ...options, workspace: undefined }, true);
+  const includePath = resolveIncludeArgument(options.include, targetDir);
+  const includeGraph = collectIncludeGraph(targetDir, entries);
+  const usages = [];
+
+  const findUsages = (entry, chain, nodes) => {
+    for (const node of nodes) {
+      const nodeChain = [...chain, node];
+      if (node.filePath === includePath) {
+        usages.push({ entry, chain: nodeChain });
+      }
+      findUsages(entry, nodeChain, node.includes);
+    }
+  };
+  for (const { entry, entrypoints } of includeGraph.agents) {
+    for (const entrypoint of entrypoints) {
+      findUsages(entry, [entrypoint], entrypoint.includes);
+    }
+  }
+
+  return {
+    include: toManifestKey(path.relative(targetDir, includePath)),
+    agentIds: [...new Set(usages.map((usage) => usage.entry.id))],
+    // Each step is a file and the line that includes the next step.
+    usages: usages.map(({ entry, chain }) => ({
+      agentId: entry.id,
+      chain: chain.slice(0, -1).map((node, index) => ({
+        file: toManifestKey(path.relative(targetDir, node.filePath)),
+        line: chain[index + 1].lineNumber,
+      })),
+    })),
+    warnings,
+  };
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  collectIncludeGraph,
+  graph,
+  renderIncludeGraph,
+  whereUsed,
+};
@@ -0,0 +1,89 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { globToRegExp, toManifestKey } = require('./files');
+
+const IGNORE_FILE = '.openclaw-templatesignore';
+
+// Rules are compiled against paths relative to the templates dir; `base` is the dir holding the ignore file.
+function parseIgnoreLine(text, base) {
+  let pattern = text.trimEnd();
+  if (pattern === '' || pattern.startsWith('#')) {
+    return undefined;
+  }
+
+  const negate = pattern.startsWith('!');
+  if (negate || pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  // As in gitignore, a pattern with a slash anywhere but the end is relative to its file; others match at any depth.
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (pattern === '') {
+    return undefined;
+  }
+
+  const relativePattern = anchored ? pattern : `**/${pattern}`;
+  return {
+    negate,
+    directoryOnly,
+    regExp: globToRegExp(base ? `${base.replace(/[*?[\\]/g, '\\$&')}/${relativePattern}` : relativePattern),
+  };
+}
+
+function readIgnoreRules(targetDir, base) {
+  const ignorePath = path.join(targetDir, base, IGNORE_FILE);
+  if (!fs.existsSync(ignorePath)) {
+    return [];
+  }
+
+  const source = toManifestKey(path.relative(targetDir, ignorePath));
+  return fs
+    .readFileSync(ignorePath, 'utf8')
+    .split('\n')
+    .flatMap((text, index) => {
+      const rule = parseIgnoreLine(text, base);
+      return rule ? [{ ...rule, source, line: index + 1, pattern: text.trim() }] : [];
+    });
+}
+
+// The last matching rule decides, and per-dir rules come after the root ones. As in git, a file inside an ignored
+// directory stays ignored even when a later `!` pattern matches the file itself.
+function findIgnoreRule(rules, key) {
+  const segments = key.split('/');
+  for (let count = 1; count <= segments.length; count += 1) {
+    const candidate = segments.slice(0, count).join('/');
+    const isDirectory = count < segments.length;
+    let match;
+    for (const rule of rules) {
+      if ((!rule.directoryOnly || isDirectory) && rule.regExp.test(candidate)) {
+        match = rule;
+      }
+    }
+    if (match && !match.negate) {
+      return match;
+    }
+  }
+  return undefined;
+}
+
+// Returns a lookup from a file's absolute path to the rule that ignores it, reading `<template-dir>/IGNORE_FILE`
+// and the one in the template dir holding the file.
+function createIgnoreMatcher(targetDir) {
+  const rootRules = readIgnoreRules(targetDir, '');
+  const dirRules = new Map();
+  return (absolutePath) => {
+    const key = toManifestKey(path.relative(targetDir, absolutePath));
+    const templateDirName = key.split('/')[0];
+    if (!dirRules.has(templateDirName)) {
+      dirRules.set(templateDirName, readIgnoreRules(targetDir, templateDirName));
+    }
+    return findIgnoreRule([...rootRules, ...dirRules.get(templateDirName)], key);
+  };
+}
+
+module.exports = {
+  IGNORE_FILE,
+  createIgnoreMatcher,
+};
@@ -0,0 +1,38 @@
+const errors = require('./errors');
+const { init, pullAgents, pruneAgents, upgrade, presets } = require('./setup');
+const { doctor } = require('./doctor');
+const { build, status } = require('./build');
+const { backups, restore } = require('./backups');
+const { capture } = require('./capture');
+const { stats } = require('./stats');
+const { lint } = require('./lint');
+const { checkLinks } = require('./check-links');
+const { watch } = require('./watch');
+const { graph, renderIncludeGraph, whereUsed } = require('./graph');
+const { addIncludePack, updateIncludePacks, removeIncludePack, listIncludePacks } = require('./packs');
+
+module.exports = {
+  init,
+  pullAgents,
+  pruneAgents,
+  upgrade,
+  presets,
+  doctor,
+  build,
+  status,
+  backups,
+  restore,
+  stats,
+  lint,
+  checkLinks,
+  capture,
+  watch,
+  graph,
+  renderIncludeGraph,
+  whereUsed,
+  addIncludePack,
+  updateIncludePacks,
+  removeIncludePack,
+  listIncludePacks,
+  ...errors,
+};
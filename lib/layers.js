@@ -0,0 +1,149 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { ConfigError, TemplatesDirError } = require('./errors');
+const { isChildPath, listFilesRecursive } = require('./files');
+const { isBuiltForAgent, readFrontMatter } = require('./frontmatter');
+const { IGNORE_FILE, createIgnoreMatcher } = require('./ignore');
+
+const TEMPLATE_CONFIG_FILE = '.template.json';
+
+function readTemplateConfig(agentTemplatesDir) {
+  const configPath = path.join(agentTemplatesDir, TEMPLATE_CONFIG_FILE);
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to parse JSON in ${configPath}: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(`Invalid template config format in ${configPath}: expected an object`);
+  }
+  if (parsed.extends !== undefined && (typeof parsed.extends !== 'string' || parsed.extends.trim() === '')) {
+    throw new ConfigError(
+      `Invalid template config format in ${configPath}: .extends must be a template directory name`,
+    );
+  }
+
+  return parsed;
+}
+
+function resolveTemplateLayers(agentTemplatesDir) {
+  const targetDir = path.dirname(agentTemplatesDir);
+  const layers = [];
+  let layerDir = agentTemplatesDir;
+
+  while (layerDir) {
+    if (layers.includes(layerDir)) {
+      const chain = [...layers, layerDir].map((dir) => path.basename(dir));
+      throw new ConfigError(`Circular template extends in ${targetDir}: ${chain.join(' -> ')}`);
+    }
+    if (!fs.existsSync(layerDir) || !fs.statSync(layerDir).isDirectory()) {
+      const extendedBy = layers.length > 0 ? ` (extended by ${path.basename(layers[layers.length - 1])})` : '';
+      throw new TemplatesDirError(`Template directory not found: ${layerDir}${extendedBy}`);
+    }
+    layers.push(layerDir);
+
+    const parentName = readTemplateConfig(layerDir).extends;
+    layerDir = parentName === undefined ? undefined : path.resolve(targetDir, parentName.trim());
+    if (layerDir && path.dirname(layerDir) !== targetDir) {
+      const configPath = path.join(layers[layers.length - 1], TEMPLATE_CONFIG_FILE);
+      throw new ConfigError(
+        `Invalid template config format in ${configPath}: .extends must name a directory in ${targetDir}`,
+      );
+    }
+  }
+
+  // Agent-level .includes shadow their parents' and the shared <template-dir>/.includes, in that order.
+  return {
+    layers,
+    includeDirs: [...layers.map((dir) => path.join(dir, '.includes')), path.join(targetDir, '.includes')],
+  };
+}
+
+function isTemplateLayerMetadata(relativePath) {
+  return (
+    relativePath.split(path.sep)[0] === '.includes' ||
+    relativePath === TEMPLATE_CONFIG_FILE ||
+    relativePath === IGNORE_FILE
+  );
+}
+
+// Files matched by an ignore file are left out as if they did not exist, so a parent layer's file shows through.
+function listLayeredTemplateFiles(layers) {
+  const findIgnoreRule = createIgnoreMatcher(path.dirname(layers[0]));
+  const files = new Map();
+  for (const layerDir of layers) {
+    for (const file of listFilesRecursive(layerDir)) {
+      if (
+        !isTemplateLayerMetadata(file.relativePath) &&
+        !files.has(file.relativePath) &&
+        !findIgnoreRule(file.absolutePath)
+      ) {
+        files.set(file.relativePath, file);
+      }
+    }
+  }
+  return [...files.values()];
+}
+
+// The files of one template dir that its own or the root ignore file leaves out, with the rule that matched.
+function listIgnoredTemplateFiles(layerDir) {
+  const findIgnoreRule = createIgnoreMatcher(path.dirname(layerDir));
+  return listFilesRecursive(layerDir)
+    .filter((file) => !isTemplateLayerMetadata(file.relativePath))
+    .map((file) => ({ ...file, rule: findIgnoreRule(file.absolutePath) }))
+    .filter((file) => file.rule);
+}
+
+// Applies each file's front matter for one agent: skips files not built for it and moves others to their `output`.
+// As with same-named files, a nearer layer wins when files from different layers build to the same path.
+function listAgentTemplateFiles(layers, entry) {
+  const files = new Map();
+  for (const file of listLayeredTemplateFiles(layers)) {
+    const frontMatter = readFrontMatter(file.absolutePath);
+    if (frontMatter && !isBuiltForAgent(frontMatter, entry)) {
+      continue;
+    }
+
+    const relativePath = frontMatter && frontMatter.output ? frontMatter.output : file.relativePath;
+    const existing = files.get(relativePath);
+    if (existing) {
+      const layerOf = (filePath) => layers.find((dir) => isChildPath(dir, filePath));
+      if (layerOf(existing.absolutePath) === layerOf(file.absolutePath)) {
+        throw new ConfigError(
+          `Both ${existing.absolutePath} and ${file.absolutePath} build to ${relativePath} for agent ${entry.id}`,
+          { hint: 'Change the output of one of them, or limit them to different agents.' },
+        );
+      }
+      continue;
+    }
+    files.set(relativePath, {
+      absolutePath: file.absolutePath,
+      relativePath,
+      mode: frontMatter ? frontMatter.mode : undefined,
+    });
+  }
+  return [...files.values()];
+}
+
+function findLayeredTemplateFile(layers, relativePath) {
+  return layers
+    .map((layerDir) => path.join(layerDir, relativePath))
+    .find((absolutePath) => fs.existsSync(absolutePath) && fs.statSync(absolutePath).isFile());
+}
+
+module.exports = {
+  TEMPLATE_CONFIG_FILE,
+  readTemplateConfig,
+  resolveTemplateLayers,
+  isTemplateLayerMetadata,
+  listLayeredTemplateFiles,
+  listIgnoredTemplateFiles,
+  listAgentTemplateFiles,
+  findLayeredTemplateFile,
+};
@@ -0,0 +1,118 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { readExistingFile, toManifestKey } = require('./files');
+const { isPolicyKept } = require('./settings');
+const { forEachUnfencedLine } = require('./compile');
+
+const INLINE_LINK_PATTERN = /!?\[[^\]]*\]\(\s*(<[^>]*>|[^)\s]+)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+const REFERENCE_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:\s*(<[^>]*>|\S+)/;
+const HTML_REFERENCE_PATTERN = /<(?:img|a|source)\b[^>]*?\s(?:src|href)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const AVATAR_FIELD_PATTERN = /^\s*[-*]\s+\*\*Avatar(?::\*\*|\*\*:)\s*(.*?)\s*$/i;
+const CODE_SPAN_PATTERN = /(`+)[^`]*?\1/g;
+const URL_SCHEME_PATTERN = /^[a-z][a-z\d+.-]*:/i;
+
+function readAvatarValue(lines, index, value) {
+  const next = lines[index + 1];
+  const raw = value || (next && /^\s+\S/.test(next.text) ? next.text.trim() : '');
+  // Placeholders and values that are already markdown links are left to the other patterns.
+  if (raw === '' || /^_\(.*\)_$/.test(raw) || raw.includes('](')) {
+    return undefined;
+  }
+  return raw.replace(/^`(.*)`$/, '$1');
+}
+
+function findLinkTargets(lines) {
+  const targets = [];
+
+  forEachUnfencedLine(lines, (line, index) => {
+    const text = line.text.replace(CODE_SPAN_PATTERN, '');
+    for (const match of text.matchAll(INLINE_LINK_PATTERN)) {
+      targets.push({ index, target: match[1] });
+    }
+    for (const match of text.matchAll(HTML_REFERENCE_PATTERN)) {
+      targets.push({ index, target: match[1] !== undefined ? match[1] : match[2] });
+    }
+    const definition = REFERENCE_DEFINITION_PATTERN.exec(text);
+    if (definition) {
+      targets.push({ index, target: definition[1] });
+    }
+    const avatar = AVATAR_FIELD_PATTERN.exec(line.text);
+    const avatarValue = avatar && readAvatarValue(lines, index, avatar[1]);
+    if (avatarValue) {
+      targets.push({ index: avatar[1] ? index : index + 1, target: avatarValue });
+    }
+  });
+
+  return targets;
+}
+
+// Returns the workspace-relative path a link points at, or undefined for URLs, anchors and absolute paths.
+function resolveLinkTarget(fileKey, target) {
+  let value = target.replace(/^<(.*)>$/, '$1').replace(/[?#].*$/, '');
+  if (value === '' || value.startsWith('/') || value.startsWith('\\') || URL_SCHEME_PATTERN.test(value)) {
+    return undefined;
+  }
+  try {
+    value = decodeURI(value);
+  } catch {
+    // Keep malformed escapes as written; the file will simply not be found.
+  }
+
+  const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(fileKey), value)).replace(/\/$/, '');
+  return { path: resolved, outside: resolved === '..' || resolved.startsWith('../') };
+}
+
+function findBrokenLinks(fileKey, lines, exists) {
+  const links = findLinkTargets(lines);
+  const broken = [];
+  for (const link of links) {
+    const resolved = resolveLinkTarget(fileKey, link.target);
+    if (resolved && (resolved.outside || !exists(resolved.path))) {
+      broken.push({ file: fileKey, line: link.index + 1, index: link.index, target: link.target, ...resolved });
+    }
+  }
+  return { checked: links.length, broken };
+}
+
+function formatBrokenLink(link) {
+  const reason = link.outside ? 'points outside the workspace' : 'is not in the workspace';
+  return `${link.file}:${link.line} links to ${link.path}, which ${reason}`;
+}
+
+// Checks the markdown a build would leave in a workspace against the files it would leave next to it.
+function findPlanBrokenLinks(plan, wipeWorkspace) {
+  const { workspace } = plan.entry;
+  const produced = new Set(
+    plan.actions.filter((action) => action.type !== 'skip').map((action) => toManifestKey(action.relativePath)),
+  );
+  const exists = (relativePath) =>
+    produced.has(relativePath) ||
+    [...produced].some((file) => file.startsWith(`${relativePath}/`)) ||
+    ((!wipeWorkspace || isPolicyKept(plan.policies, relativePath)) &&
+      fs.existsSync(path.join(workspace, relativePath)));
+
+  return plan.actions
+    .filter((action) => action.relativePath.endsWith('.md'))
+    .flatMap((action) => {
+      const content =
+        action.type === 'drifted' || action.content === undefined
+          ? readExistingFile(path.join(workspace, action.relativePath))
+          : action.content;
+      if (content === undefined) {
+        return [];
+      }
+      const lines = content
+        .toString('utf8')
+        .split('\n')
+        .map((text) => ({ text }));
+      return findBrokenLinks(toManifestKey(action.relativePath), lines, exists).broken;
+    });
+}
+
+module.exports = {
+  findLinkTargets,
+  resolveLinkTarget,
+  findBrokenLinks,
+  formatBrokenLink,
+  findPlanBrokenLinks,
+};
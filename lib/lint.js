@@ -0,0 +1,194 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { ConfigError, UsageError } = require('./errors');
+const { toManifestKey } = require('./files');
+const { TEMPLATE_CONFIG_FILE, listAgentTemplateFiles, readTemplateConfig, resolveTemplateLayers } = require('./layers');
+const { createTemplateContext, forEachUnfencedLine, readOutputLines } = require('./compile');
+const { getAgentTemplatesDir, resolveBuildTargets } = require('./build');
+
+const LINT_RULES = {
+  placeholder: 'warning',
+  'empty-field': 'warning',
+  'duplicate-heading': 'warning',
+  'heading-hierarchy': 'warning',
+  'unexpanded-include': 'error',
+};
+const LINT_SEVERITIES = ['error', 'warning', 'off'];
+
+const PLACEHOLDER_PATTERN = /_\((.+?)\)_/;
+const EMPTY_FIELD_PATTERN = /^\s*[-*]\s+\*\*([^*]+?)(?::\*\*|\*\*:)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const INCLUDE_TAG_PATTERN = /#include\s*"[^"]*"/;
+const DISABLE_PATTERN = /<!--\s*openclaw-templates-disable\b([\s\w,-]*?)\s*-->/;
+
+function validateRules(rules, describeSource, ErrorClass) {
+  for (const [rule, severity] of Object.entries(rules)) {
+    if (!Object.prototype.hasOwnProperty.call(LINT_RULES, rule)) {
+      throw new ErrorClass(`Unknown lint rule in ${describeSource}: ${rule}`, {
+        hint: `Known rules: ${Object.keys(LINT_RULES).join(', ')}.`,
+      });
+    }
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new ErrorClass(`Invalid severity for lint rule ${rule} in ${describeSource}: ${severity}`, {
+        hint: `Use one of: ${LINT_SEVERITIES.join(', ')}.`,
+      });
+    }
+  }
+  return rules;
+}
+
+function parseRuleOptions(values) {
+  const rules = {};
+  for (const value of values) {
+    const [rule, severity] = value.split('=').map((part) => part.trim());
+    if (!severity) {
+      throw new UsageError(`Invalid --rule value: ${value}`, { hint: 'Use --rule <rule>=<error|warning|off>.' });
+    }
+    rules[rule] = severity;
+  }
+  return validateRules(rules, '--rule', UsageError);
+}
+
+// Defaults, then `lint` in each layer's .template.json (parents first), then the rules passed in.
+function resolveRuleSeverities(layers, rules) {
+  const severities = { ...LINT_RULES };
+  for (const layerDir of [...layers].reverse()) {
+    const { lint } = readTemplateConfig(layerDir);
+    if (lint === undefined) {
+      continue;
+    }
+    const configPath = path.join(layerDir, TEMPLATE_CONFIG_FILE);
+    if (!lint || typeof lint !== 'object' || Array.isArray(lint)) {
+      throw new ConfigError(`Invalid template config format in ${configPath}: .lint must map rule names to severities`);
+    }
+    Object.assign(severities, validateRules(lint, configPath, ConfigError));
+  }
+  return { ...severities, ...validateRules(rules, 'the lint options', UsageError) };
+}
+
+function findProblems(lines) {
+  const problems = [];
+  const headings = new Map();
+  let previousLevel;
+
+  forEachUnfencedLine(lines, (line, index) => {
+    const report = (rule, message) => problems.push({ rule, message, index });
+    const placeholder = PLACEHOLDER_PATTERN.exec(line.text);
+    if (placeholder) {
+      report('placeholder', `Unfilled placeholder ${placeholder[0]}`);
+    }
+
+    const field = EMPTY_FIELD_PATTERN.exec(line.text);
+    const next = lines[index + 1];
+    // A value may also sit on indented continuation lines below the label.
+    if (field && !(next && /^\s+\S/.test(next.text))) {
+      report('empty-field', `Empty field "${field[1]}"`);
+    }
+
+    if (INCLUDE_TAG_PATTERN.test(line.text)) {
+      report('unexpanded-include', `Include tag was not expanded: ${INCLUDE_TAG_PATTERN.exec(line.text)[0]}`);
+    }
+
+    const heading = HEADING_PATTERN.exec(line.text);
+    if (heading) {
+      const level = heading[1].length;
+      const key = `${level} ${heading[2].toLowerCase()}`;
+      if (headings.has(key)) {
+        report(
+          'duplicate-heading',
+          `Duplicate heading "${heading[0].trim()}" (first at line ${headings.get(key) + 1})`,
+        );
+      } else {
+        headings.set(key, index);
+      }
+      if (previousLevel !== undefined && level > previousLevel + 1) {
+        report('heading-hierarchy', `Heading level jumps from h${previousLevel} to h${level}`);
+      }
+      previousLevel = level;
+    }
+  });
+
+  return problems;
+}
+
+// `<!-- openclaw-templates-disable [rule ...] -->` in a template or include silences those rules (all when none
+// are listed) for the lines that came from that file; in an entrypoint it covers the whole compiled file.
+function collectSuppressions(lines) {
+  const suppressions = new Map();
+  for (const line of lines) {
+    const match = DISABLE_PATTERN.exec(line.text);
+    if (match) {
+      const rules = match[1].split(/[\s,]+/).filter(Boolean);
+      const existing = suppressions.get(line.filePath) || [];
+      suppressions.set(line.filePath, rules.length === 0 ? ['*'] : [...existing, ...rules]);
+    }
+  }
+  return suppressions;
+}
+
+function isSuppressed(suppressions, filePath, rule) {
+  const rules = suppressions.get(filePath);
+  return Boolean(rules && (rules.includes('*') || rules.includes(rule)));
+}
+
+function lintAgent(targetDir, entry, rules) {
+  const { layers, includeDirs } = resolveTemplateLayers(getAgentTemplatesDir(targetDir, entry));
+  const severities = resolveRuleSeverities(layers, rules);
+  const context = createTemplateContext(entry);
+  const findings = [];
+
+  for (const file of listAgentTemplateFiles(layers, entry).filter((candidate) =>
+    candidate.relativePath.endsWith('.md'),
+  )) {
+    const lines = readOutputLines(file, context, includeDirs);
+    const suppressions = collectSuppressions(lines);
+    for (const problem of findProblems(lines)) {
+      const line = lines[problem.index];
+      const severity = severities[problem.rule];
+      if (
+        severity === 'off' ||
+        isSuppressed(suppressions, line.filePath, problem.rule) ||
+        isSuppressed(suppressions, file.absolutePath, problem.rule)
+      ) {
+        continue;
+      }
+      findings.push({
+        agent: entry.id,
+        file: toManifestKey(file.relativePath),
+        line: problem.index + 1,
+        source: `${toManifestKey(path.relative(targetDir, line.filePath))}:${line.lineNumber}`,
+        rule: problem.rule,
+        severity,
+        message: problem.message,
+      });
+    }
+  }
+
+  return findings;
+}
+
+async function lint(options = {}) {
+  const rules = options.rules || {};
+  const { targetDir, entries, warnings } = resolveBuildTargets(options, true);
+
+  const findings = entries.flatMap((entry) => lintAgent(targetDir, entry, rules));
+  const counts = {
+    error: findings.filter((finding) => finding.severity === 'error').length,
+    warning: findings.filter((finding) => finding.severity === 'warning').length,
+  };
+  return {
+    templatesDir: targetDir,
+    agents: entries.map((entry) => entry.id),
+    findings,
+    counts,
+    ok: counts.error === 0,
+    warnings,
+  };
+}
+
+module.exports = {
+  LINT_RULES,
+  LINT_SEVERITIES,
+  parseRuleOptions,
+  lint,
+};
@@ -0,0 +1,71 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ConfigError } = require('./errors');
+const { toManifestKey } = require('./files');
+
+const BUILD_MANIFEST_FILE = '.openclaw-templates-manifest.json';
+
+function hashContent(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+function readBuildManifest(workspaceDir) {
+  const manifestPath = path.join(workspaceDir, BUILD_MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { version: 1, files: {} };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to parse JSON in ${manifestPath}: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed.files !== 'object' || parsed.files === null) {
+    throw new ConfigError(`Invalid build manifest format in ${manifestPath}: expected .files object`);
+  }
+
+  return parsed;
+}
+
+function writeBuildManifest(workspaceDir, manifest) {
+  fs.writeFileSync(path.join(workspaceDir, BUILD_MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+}
+
+function recordManifestEntries(manifest, agentTemplatesDir, actions, builtAt) {
+  const files = { ...manifest.files };
+  for (const action of actions) {
+    files[toManifestKey(action.relativePath)] = {
+      source: toManifestKey(path.relative(path.dirname(agentTemplatesDir), action.sourcePath)),
+      hash: hashContent(action.content),
+      builtAt,
+    };
+  }
+  return { ...manifest, version: 1, files };
+}
+
+function getManifestStatus(action, manifest) {
+  if (action.previous === undefined) {
+    return 'missing';
+  }
+
+  const manifestEntry = manifest.files[toManifestKey(action.relativePath)];
+  if (!manifestEntry) {
+    return action.previous.equals(action.content) ? 'in-sync' : 'drifted';
+  }
+  if (hashContent(action.previous) !== manifestEntry.hash) {
+    return 'drifted';
+  }
+  return hashContent(action.content) === manifestEntry.hash ? 'in-sync' : 'stale';
+}
+
+module.exports = {
+  BUILD_MANIFEST_FILE,
+  hashContent,
+  readBuildManifest,
+  writeBuildManifest,
+  recordManifestEntries,
+  getManifestStatus,
+};
@@ -0,0 +1,415 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { ConfigError, DriftError, PackError, UsageError } = require('./errors');
+const { listFilesRecursive, toManifestKey } = require('./files');
+const { assertTemplatesDirExists, getInitPaths } = require('./paths');
+const { cloneRepository } = require('./git');
+
+const PACKS_LOCK_FILE = 'openclaw-templates-lock.json';
+const PACK_MANIFEST_FILE = 'openclaw-pack.json';
+const PACK_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/i;
+
+function getPackDir(targetDir, name) {
+  return path.join(targetDir, '.includes', `@${name}`);
+}
+
+function normalizePackName(name) {
+  const trimmed = String(name).trim().replace(/^@/, '');
+  if (!PACK_NAME_PATTERN.test(trimmed)) {
+    throw new UsageError(`Invalid include pack name: ${name}`, {
+      hint: 'Use letters, digits, dots, dashes and underscores, e.g. --name team.',
+    });
+  }
+  return trimmed;
+}
+
+// `git+<url>`, `git@host:repo`, `git://` and URLs ending in .git are cloned, at `#<branch-or-tag>` when given;
+// http(s) URLs are downloaded as tarballs; anything else is a local folder or tarball.
+function parsePackSource(source) {
+  const hashIndex = source.lastIndexOf('#');
+  const location = hashIndex === -1 ? source : source.slice(0, hashIndex);
+  if (/^git\+/.test(location) || /^git@[^:]+:/.test(location) || /^(git|ssh|https?|file):\/\/.*\.git$/.test(location)) {
+    return {
+      type: 'git',
+      location: location.replace(/^git\+/, ''),
+      ref: hashIndex === -1 ? undefined : source.slice(hashIndex + 1),
+    };
+  }
+  if (/^https?:\/\//.test(source)) {
+    if (!TARBALL_PATTERN.test(new URL(source).pathname)) {
+      throw new UsageError(`Unsupported include pack URL: ${source}`, {
+        hint: 'Use a tarball URL (.tgz, .tar.gz, .tar), or git+https://... for a git repository.',
+      });
+    }
+    return { type: 'tarball', location: source };
+  }
+
+  const absolutePath = /^~(?=$|[\\/])/.test(source) ? path.join(os.homedir(), source.slice(1)) : path.resolve(source);
+  if (!fs.existsSync(absolutePath)) {
+    throw new UsageError(`Include pack source not found: ${source}`, {
+      hint: 'Use a local folder or tarball, a git URL (git+https://..., git@host:repo) or an https:// tarball URL.',
+    });
+  }
+  if (fs.statSync(absolutePath).isDirectory()) {
+    return { type: 'directory', location: absolutePath };
+  }
+  if (!TARBALL_PATTERN.test(absolutePath)) {
+    throw new UsageError(`Include pack source is neither a folder nor a tarball: ${source}`, {
+      hint: 'Tarballs must end in .tgz, .tar.gz or .tar.',
+    });
+  }
+  return { type: 'tarball', location: absolutePath };
+}
+
+function describePackSource(source) {
+  return source.ref ? `${source.location}#${source.ref}` : source.location;
+}
+
+function derivePackName(source) {
+  return source.location
+    .replace(/[\\/]+$/, '')
+    .split(/[\\/:]/)
+    .pop()
+    .replace(/\.git$/, '')
+    .replace(TARBALL_PATTERN, '');
+}
+
+async function withStagingDir(callback) {
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-templates-pack-'));
+  try {
+    return await callback(stagingDir);
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+async function downloadTarball(url, archivePath) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new PackError(`Failed to download ${url}: ${error.message}`, { cause: error });
+  }
+  if (!response.ok) {
+    throw new PackError(`Failed to download ${url}: HTTP ${response.status}`);
+  }
+  fs.writeFileSync(archivePath, Buffer.from(await response.arrayBuffer()));
+}
+
+function extractTarball(archivePath, destinationDir) {
+  fs.mkdirSync(destinationDir);
+  const result = spawnSync('tar', ['-xf', archivePath, '-C', destinationDir], { encoding: 'utf8' });
+  if (result.error) {
+    throw new PackError(`Failed to run tar: ${result.error.message}`, {
+      hint: 'Install tar, or unpack the archive and add the folder instead.',
+      cause: result.error,
+    });
+  }
+  if (result.status !== 0) {
+    throw new PackError(`Failed to unpack ${archivePath}: ${result.stderr.trim()}`);
+  }
+
+  // Archives usually wrap their files in one top-level folder (npm's package/, GitHub's <repo>-<ref>/).
+  const entries = fs.readdirSync(destinationDir, { withFileTypes: true });
+  return entries.length === 1 && entries[0].isDirectory() ? path.join(destinationDir, entries[0].name) : destinationDir;
+}
+
+function listPackFiles(root) {
+  return listFilesRecursive(root)
+    .map((file) => toManifestKey(file.relativePath))
+    .filter((key) => key !== PACK_MANIFEST_FILE && !key.split('/').includes('.git'))
+    .sort();
+}
+
+function hashPackFiles(root, keys) {
+  const hash = crypto.createHash('sha256');
+  for (const key of keys) {
+    const content = fs.readFileSync(path.join(root, ...key.split('/')));
+    hash.update(`${key}\0`).update(content).update('\0');
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+function readPackManifest(root, source) {
+  const manifestPath = path.join(root, PACK_MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return {};
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new PackError(
+      `Failed to parse ${PACK_MANIFEST_FILE} in include pack ${describePackSource(source)}: ${error.message}`,
+    );
+  }
+  if (
+    !manifest ||
+    typeof manifest !== 'object' ||
+    Array.isArray(manifest) ||
+    [manifest.name, manifest.version].some((value) => value !== undefined && typeof value !== 'string')
+  ) {
+    throw new PackError(`Invalid ${PACK_MANIFEST_FILE} in include pack ${describePackSource(source)}`, {
+      hint: 'Expected an object with string "name" and "version" fields.',
+    });
+  }
+  return manifest;
+}
+
+async function fetchPack(source, stagingDir) {
+  let root = source.location;
+  let commit;
+  if (source.type === 'git') {
+    root = path.join(stagingDir, 'repo');
+    try {
+      commit = cloneRepository(source.location, source.ref, root);
+    } catch (error) {
+      throw new PackError(`Failed to fetch include pack ${describePackSource(source)}: ${error.message}`, {
+        hint: error.hint,
+        cause: error,
+      });
+    }
+  } else if (source.type === 'tarball') {
+    let archivePath = source.location;
+    if (/^https?:\/\//.test(archivePath)) {
+      archivePath = path.join(stagingDir, path.basename(new URL(source.location).pathname));
+      await downloadTarball(source.location, archivePath);
+    }
+    root = extractTarball(archivePath, path.join(stagingDir, 'unpacked'));
+  }
+
+  const files = listPackFiles(root);
+  if (!files.some((file) => file.endsWith('.md'))) {
+    throw new PackError(`Include pack ${describePackSource(source)} contains no markdown files`, {
+      hint: 'A pack is a folder of .md fragments, optionally with an openclaw-pack.json naming and versioning it.',
+    });
+  }
+  return { root, files, commit, manifest: readPackManifest(root, source), integrity: hashPackFiles(root, files) };
+}
+
+function installPack(packDir, pack) {
+  fs.rmSync(packDir, { recursive: true, force: true });
+  for (const key of pack.files) {
+    const destinationPath = path.join(packDir, ...key.split('/'));
+    fs.mkdirSync(path.dirname(destinationPath), { recursive: true });
+    fs.copyFileSync(path.join(pack.root, ...key.split('/')), destinationPath);
+  }
+}
+
+function createLockEntry(source, pack) {
+  return {
+    source: source.location,
+    type: source.type,
+    ref: source.ref,
+    commit: pack.commit,
+    version: pack.manifest.version,
+    integrity: pack.integrity,
+    files: pack.files,
+    installedAt: new Date().toISOString(),
+  };
+}
+
+function readPacksLock(targetDir) {
+  const lockPath = path.join(targetDir, PACKS_LOCK_FILE);
+  if (!fs.existsSync(lockPath)) {
+    return { version: 1, packs: {} };
+  }
+
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to parse JSON in ${lockPath}: ${error.message}`, { cause: error });
+  }
+  if (!lock || typeof lock !== 'object' || !lock.packs || typeof lock.packs !== 'object' || Array.isArray(lock.packs)) {
+    throw new ConfigError(`Invalid lockfile format in ${lockPath}: expected .packs object`);
+  }
+  return lock;
+}
+
+function writePacksLock(targetDir, lock) {
+  const names = Object.keys(lock.packs).sort();
+  const packs = Object.fromEntries(names.map((name) => [name, lock.packs[name]]));
+  const lockPath = path.join(targetDir, PACKS_LOCK_FILE);
+  fs.writeFileSync(lockPath, `${JSON.stringify({ version: 1, packs }, null, 2)}\n`, 'utf8');
+}
+
+function getInstalledPackStatus(packDir, entry) {
+  if (!fs.existsSync(packDir)) {
+    return 'missing';
+  }
+  return hashPackFiles(packDir, listPackFiles(packDir)) === entry.integrity ? 'ok' : 'modified';
+}
+
+// Templates and shared includes that still reference the pack, as `file:line`.
+function findPackReferences(targetDir, name) {
+  const needle = `.includes/@${name}/`;
+  return listFilesRecursive(targetDir)
+    .map((file) => ({ ...file, key: toManifestKey(file.relativePath) }))
+    .filter(({ key }) => key.endsWith('.md') && !key.startsWith(needle))
+    .filter(({ key }) => !key.startsWith('.') || key.startsWith('.includes/'))
+    .flatMap(({ absolutePath, key }) =>
+      fs
+        .readFileSync(absolutePath, 'utf8')
+        .split('\n')
+        .flatMap((line, index) => (line.includes(needle) ? [`${key}:${index + 1}`] : [])),
+    );
+}
+
+async function addIncludePack(options = {}) {
+  const { targetDir } = getInitPaths(options.openclawDir, options.templatesDir);
+  assertTemplatesDirExists(targetDir);
+  if (!options.source) {
+    throw new UsageError('Missing include pack source', {
+      hint: 'Run `openclaw-templates includes add <folder|tarball|git-url>`.',
+    });
+  }
+
+  const source = parsePackSource(options.source);
+  const lock = readPacksLock(targetDir);
+  return withStagingDir(async (stagingDir) => {
+    const pack = await fetchPack(source, stagingDir);
+    const name = normalizePackName(options.name || pack.manifest.name || derivePackName(source));
+    const packDir = getPackDir(targetDir, name);
+    if (!options.force && lock.packs[name]) {
+      throw new UsageError(`Include pack @${name} is already installed from ${lock.packs[name].source}`, {
+        hint: `Run \`openclaw-templates includes update ${name}\` to refresh it, or use --force to replace it.`,
+      });
+    }
+    if (!options.force && fs.existsSync(packDir)) {
+      throw new UsageError(`${packDir} already exists and is not an installed include pack`, {
+        hint: 'Move it away, pick another --name, or use --force to replace it.',
+      });
+    }
+
+    installPack(packDir, pack);
+    lock.packs[name] = createLockEntry(source, pack);
+    writePacksLock(targetDir, lock);
+    return { templatesDir: targetDir, name, directory: packDir, ...lock.packs[name] };
+  });
+}
+
+// Re-fetches each pack from its recorded source and ref. Packs whose installed files were edited are refused
+// unless `force` is set, so local changes are not lost silently.
+async function updateIncludePacks(options = {}) {
+  const { targetDir } = getInitPaths(options.openclawDir, options.templatesDir);
+  assertTemplatesDirExists(targetDir);
+  const lock = readPacksLock(targetDir);
+  const names =
+    options.names && options.names.length > 0 ? options.names.map(normalizePackName) : Object.keys(lock.packs).sort();
+  const unknown = names.filter((name) => !lock.packs[name]);
+  if (unknown.length > 0) {
+    throw new UsageError(`Include pack not installed: ${unknown.map((name) => `@${name}`).join(', ')}`, {
+      hint: 'Run `openclaw-templates includes list` to see installed packs.',
+    });
+  }
+
+  const statuses = new Map(
+    names.map((name) => [name, getInstalledPackStatus(getPackDir(targetDir, name), lock.packs[name])]),
+  );
+  const modified = names.filter((name) => statuses.get(name) === 'modified');
+  if (modified.length > 0 && !options.force) {
+    throw new DriftError(
+      [
+        'Include pack files were changed since they were installed:',
+        ...modified.map((name) => `  ${toManifestKey(path.relative(targetDir, getPackDir(targetDir, name)))}`),
+      ].join('\n'),
+      {
+        files: modified.map((name) => getPackDir(targetDir, name)),
+        hint: 'Use --force to replace them, or move your changes into an include outside the pack first.',
+      },
+    );
+  }
+
+  const packs = [];
+  for (const name of names) {
+    const previous = lock.packs[name];
+    const source = { type: previous.type, location: previous.source, ref: previous.ref };
+    const packDir = getPackDir(targetDir, name);
+    const pack = await withStagingDir(async (stagingDir) => {
+      const fetched = await fetchPack(source, stagingDir);
+      if (fetched.integrity !== previous.integrity || statuses.get(name) !== 'ok') {
+        installPack(packDir, fetched);
+      }
+      return fetched;
+    });
+
+    const status =
+      pack.integrity !== previous.integrity ? 'updated' : statuses.get(name) !== 'ok' ? 'restored' : 'unchanged';
+    if (status === 'updated') {
+      lock.packs[name] = createLockEntry(source, pack);
+    }
+    packs.push({
+      name,
+      status,
+      directory: packDir,
+      previousVersion: previous.version,
+      version: pack.manifest.version,
+      previousCommit: previous.commit,
+      commit: pack.commit,
+    });
+  }
+
+  if (packs.some((pack) => pack.status === 'updated')) {
+    writePacksLock(targetDir, lock);
+  }
+  return { templatesDir: targetDir, packs };
+}
+
+async function removeIncludePack(options = {}) {
+  const { targetDir } = getInitPaths(options.openclawDir, options.templatesDir);
+  assertTemplatesDirExists(targetDir);
+  const name = normalizePackName(options.name || '');
+  const lock = readPacksLock(targetDir);
+  if (!lock.packs[name]) {
+    throw new UsageError(`Include pack not installed: @${name}`, {
+      hint: 'Run `openclaw-templates includes list` to see installed packs.',
+    });
+  }
+
+  const packDir = getPackDir(targetDir, name);
+  fs.rmSync(packDir, { recursive: true, force: true });
+  delete lock.packs[name];
+  writePacksLock(targetDir, lock);
+
+  const usedBy = findPackReferences(targetDir, name);
+  return {
+    templatesDir: targetDir,
+    name,
+    directory: packDir,
+    usedBy,
+    warnings:
+      usedBy.length > 0
+        ? [`@${name} is still included from ${usedBy.join(', ')}; builds will fail until those includes are removed.`]
+        : [],
+  };
+}
+
+async function listIncludePacks(options = {}) {
+  const { targetDir } = getInitPaths(options.openclawDir, options.templatesDir);
+  assertTemplatesDirExists(targetDir);
+  const lock = readPacksLock(targetDir);
+  return {
+    templatesDir: targetDir,
+    packs: Object.keys(lock.packs)
+      .sort()
+      .map((name) => {
+        const directory = getPackDir(targetDir, name);
+        return { name, directory, status: getInstalledPackStatus(directory, lock.packs[name]), ...lock.packs[name] };
+      }),
+  };
+}
+
+module.exports = {
+  PACKS_LOCK_FILE,
+  PACK_MANIFEST_FILE,
+  addIncludePack,
+  updateIncludePacks,
+  removeIncludePack,
+  listIncludePacks,
+};
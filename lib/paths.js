@@ -0,0 +1,85 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { TemplatesDirError } = require('./errors');
+const { readSettings } = require('./settings');
+
+const OPENCLAW_DIR_ENV = 'OCLAWTPL_OPENCLAW';
+const TEMPLATES_DIR_ENV = 'OCLAWTPL_TEMPLATES';
+const PRESETS_DIR = '.presets';
+
+function normalizeOptionalPath(pathOption, homeDir) {
+  if (typeof pathOption !== 'string' || pathOption.trim() === '') {
+    return undefined;
+  }
+
+  const trimmed = pathOption.trim();
+  if (trimmed === '~') {
+    return homeDir;
+  }
+  if (/^~[\\/]/.test(trimmed)) {
+    return path.resolve(path.join(homeDir, trimmed.slice(2)));
+  }
+
+  return path.resolve(trimmed);
+}
+
+function resolvePathOption(pathOption, envVarName, defaultPath, homeDir) {
+  const explicitPath = normalizeOptionalPath(pathOption, homeDir);
+  if (explicitPath) {
+    return explicitPath;
+  }
+
+  const envPath = normalizeOptionalPath(process.env[envVarName], homeDir);
+  if (envPath) {
+    return envPath;
+  }
+
+  return defaultPath;
+}
+
+function resolveOpenclawDir(openclawDirOption, homeDir, defaultDir = path.join(homeDir, '.openclaw')) {
+  return resolvePathOption(openclawDirOption, OPENCLAW_DIR_ENV, defaultDir, homeDir);
+}
+
+function resolveTemplateDir(templateDirOption, homeDir) {
+  return resolvePathOption(templateDirOption, TEMPLATES_DIR_ENV, path.join(homeDir, '.openclaw-templates'), homeDir);
+}
+
+// `settings` is read from the templates dir unless given; its openclaw dir applies when neither flag nor env sets one.
+function getInitPaths(openclawDirOption, templateDirOption, settings) {
+  const homeDir = os.homedir();
+  const targetDir = resolveTemplateDir(templateDirOption, homeDir);
+  const templatesSettings = settings || readSettings(targetDir);
+  const openclawDir = resolveOpenclawDir(openclawDirOption, homeDir, templatesSettings.openclaw);
+  const templatesRoot = path.resolve(__dirname, '..', 'templates');
+  return {
+    homeDir,
+    openclawDir,
+    targetDir,
+    openclawConfigPath: path.join(openclawDir, 'openclaw.json'),
+    templatesRoot,
+    baseTemplatesDir: path.join(templatesRoot, '.base'),
+    includesTemplatesDir: path.join(templatesRoot, '.includes'),
+    presetsTemplatesDir: path.join(templatesRoot, PRESETS_DIR),
+    settings: templatesSettings,
+  };
+}
+
+function assertTemplatesDirExists(targetDir) {
+  if (!fs.existsSync(targetDir) || !fs.statSync(targetDir).isDirectory()) {
+    throw new TemplatesDirError(`Templates directory not found: ${targetDir}`, {
+      hint: 'Run `openclaw-templates init` first.',
+    });
+  }
+}
+
+module.exports = {
+  OPENCLAW_DIR_ENV,
+  TEMPLATES_DIR_ENV,
+  PRESETS_DIR,
+  resolveOpenclawDir,
+  resolveTemplateDir,
+  getInitPaths,
+  assertTemplatesDirExists,
+};
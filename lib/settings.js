@@ -0,0 +1,174 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const JSON5 = require('json5');
+const { ConfigError } = require('./errors');
+const { describeJson5Error } = require('./config');
+const { globToRegExp, toManifestKey } = require('./files');
+
+const SETTINGS_FILE = 'openclaw-templates.json';
+const SETTINGS_KEYS = ['openclaw', 'presets', 'build', 'policies'];
+const BUILD_DEFAULT_FLAGS = ['overwrite', 'wipe', 'force', 'commit', 'allowDirty'];
+const BUILD_DEFAULT_COUNTS = ['keepBackups', 'maxFileTokens', 'maxAgentTokens'];
+const PATH_POLICIES = ['seed-once', 'always-compile', 'never-touch'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createDefaultSettings(targetDir) {
+  return {
+    path: path.join(targetDir, SETTINGS_FILE),
+    exists: false,
+    openclaw: undefined,
+    presets: [],
+    build: {},
+    policies: [],
+  };
+}
+
+function readOpenclawSetting(value, targetDir, problems) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    problems.push('openclaw must be a path to the OpenClaw directory');
+    return undefined;
+  }
+  const trimmed = value.trim();
+  if (/^~(?=$|[\\/])/.test(trimmed)) {
+    return path.join(os.homedir(), trimmed.slice(1));
+  }
+  return path.resolve(targetDir, trimmed);
+}
+
+function readPresetsSetting(value, problems) {
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || list.some((preset) => typeof preset !== 'string' || preset.trim() === '')) {
+    problems.push('presets must be a preset name or a list of [agent=]name values');
+    return [];
+  }
+  return list.map((preset) => preset.trim());
+}
+
+function readBuildSetting(value, problems) {
+  if (!isPlainObject(value)) {
+    problems.push('build must be an object of build option defaults');
+    return {};
+  }
+
+  const build = {};
+  for (const [key, option] of Object.entries(value)) {
+    if (BUILD_DEFAULT_FLAGS.includes(key)) {
+      if (typeof option !== 'boolean') {
+        problems.push(`build.${key} must be true or false`);
+        continue;
+      }
+    } else if (BUILD_DEFAULT_COUNTS.includes(key)) {
+      if (!Number.isInteger(option) || option < 0) {
+        problems.push(`build.${key} must be a whole number`);
+        continue;
+      }
+    } else {
+      problems.push(
+        `unknown build option build.${key} (known: ${[...BUILD_DEFAULT_FLAGS, ...BUILD_DEFAULT_COUNTS].join(', ')})`,
+      );
+      continue;
+    }
+    build[key] = option;
+  }
+  return build;
+}
+
+function readPoliciesSetting(value, problems) {
+  if (!isPlainObject(value)) {
+    problems.push('policies must map workspace path globs to a policy');
+    return [];
+  }
+
+  const policies = [];
+  for (const [pattern, policy] of Object.entries(value)) {
+    const segments = pattern.split('/');
+    if (pattern.trim() === '' || pattern.startsWith('/') || segments.includes('..')) {
+      problems.push(`policy glob "${pattern}" must be a path relative to the workspace`);
+    } else if (!PATH_POLICIES.includes(policy)) {
+      problems.push(`policy for "${pattern}" must be one of ${PATH_POLICIES.join(', ')}`);
+    } else {
+      policies.push({ pattern, policy, regExp: globToRegExp(pattern) });
+    }
+  }
+  return policies;
+}
+
+// Unlike readSettings, reports every problem in the file instead of throwing at the first one; `doctor` lists them.
+function inspectSettings(targetDir) {
+  const settings = createDefaultSettings(targetDir);
+  if (!fs.existsSync(settings.path)) {
+    return { settings, problems: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON5.parse(fs.readFileSync(settings.path, 'utf8'));
+  } catch (error) {
+    return { settings, problems: [`failed to parse JSON${describeJson5Error(error)}`] };
+  }
+  if (!isPlainObject(parsed)) {
+    return { settings, problems: ['expected an object'] };
+  }
+
+  const problems = [];
+  const unknown = Object.keys(parsed).filter((key) => !SETTINGS_KEYS.includes(key));
+  if (unknown.length > 0) {
+    problems.push(`unknown key(s) ${unknown.join(', ')} (known: ${SETTINGS_KEYS.join(', ')})`);
+  }
+  return {
+    settings: {
+      ...settings,
+      exists: true,
+      openclaw: parsed.openclaw === undefined ? undefined : readOpenclawSetting(parsed.openclaw, targetDir, problems),
+      presets: parsed.presets === undefined ? [] : readPresetsSetting(parsed.presets, problems),
+      build: parsed.build === undefined ? {} : readBuildSetting(parsed.build, problems),
+      policies: parsed.policies === undefined ? [] : readPoliciesSetting(parsed.policies, problems),
+    },
+    problems,
+  };
+}
+
+function readSettings(targetDir) {
+  const { settings, problems } = inspectSettings(targetDir);
+  if (problems.length > 0) {
+    const message =
+      problems.length === 1
+        ? `Invalid templates config in ${settings.path}: ${problems[0]}`
+        : [`Invalid templates config in ${settings.path}:`, ...problems.map((problem) => `  ${problem}`)].join('\n');
+    throw new ConfigError(message, { hint: 'Run `openclaw-templates doctor` to check it.' });
+  }
+  return settings;
+}
+
+// An option passed to the command wins over the default in the templates config.
+function resolveBuildFlag(options, settings, name) {
+  return options[name] !== undefined ? Boolean(options[name]) : Boolean(settings.build[name]);
+}
+
+// The first policy whose glob matches the workspace-relative path applies.
+function findPathPolicy(policies, relativePath) {
+  const key = toManifestKey(relativePath);
+  const match = policies.find((policy) => policy.regExp.test(key));
+  return match ? match.policy : undefined;
+}
+
+// Paths a build leaves alone even when it wipes the workspace.
+function isPolicyKept(policies, relativePath) {
+  const policy = findPathPolicy(policies, relativePath);
+  return policy === 'never-touch' || policy === 'seed-once';
+}
+
+module.exports = {
+  SETTINGS_FILE,
+  PATH_POLICIES,
+  createDefaultSettings,
+  inspectSettings,
+  readSettings,
+  resolveBuildFlag,
+  findPathPolicy,
+  isPolicyKept,
+};
@@ -0,0 +1,412 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { TemplatesDirError, UsageError, WorkspaceError } = require('./errors');
+const { listFilesRecursive, toManifestKey } = require('./files');
+const { PRESETS_DIR, assertTemplatesDirExists, getInitPaths } = require('./paths');
+const { getAgentEntries, getAgentNames, getSkippedAgentWarnings, parseOpenclawConfig } = require('./config');
+const { resolveTemplateLayers } = require('./layers');
+const { readBuildManifest, writeBuildManifest } = require('./manifest');
+const { BACKUPS_DIR } = require('./backups');
+const { initRepository } = require('./git');
+const { adoptWorkspaces } = require('./adopt');
+const { SETTINGS_FILE } = require('./settings');
+const { PACKS_LOCK_FILE } = require('./packs');
+const {
+  UPSTREAM_DIR,
+  packageVersion,
+  getEntrypointTemplateFiles,
+  assertIncludesTemplatesDir,
+  listUpstreamFiles,
+  readUpstreamVersions,
+  writeUpstreamSnapshot,
+  mergeUpstreamFile,
+  listPresets,
+  parsePresetOptions,
+  seedAgentTemplates,
+} = require('./templates');
+
+const ARCHIVE_DIR = '.archive';
+const UPGRADE_ACCEPT_SIDES = ['ours', 'theirs'];
+
+async function init(options = {}) {
+  const {
+    openclawDir,
+    targetDir,
+    baseTemplatesDir,
+    includesTemplatesDir,
+    presetsTemplatesDir,
+    openclawConfigPath,
+    settings,
+  } = getInitPaths(options.openclawDir, options.templatesDir);
+  const agentEntries = getAgentEntries(openclawConfigPath, openclawDir);
+  const agentNames = agentEntries.map((entry) => entry.name);
+  const entrypointTemplateFiles = getEntrypointTemplateFiles(baseTemplatesDir);
+  assertIncludesTemplatesDir(includesTemplatesDir);
+
+  const selectPreset = parsePresetOptions(
+    options.presets && options.presets.length > 0 ? options.presets : settings.presets,
+    listPresets(presetsTemplatesDir, targetDir),
+    agentNames,
+    openclawConfigPath,
+  );
+
+  if (fs.existsSync(targetDir)) {
+    if (!options.force) {
+      throw new TemplatesDirError(`Directory already exists: ${targetDir}`, { hint: 'Use --force to overwrite it.' });
+    }
+
+    // User presets are kept so `init --force --preset <name>` can reseed from them; the templates config, git
+    // history, workspace backups, template dirs archived by `prune-agents` and installed include packs are not
+    // templates and survive too.
+    for (const entry of fs.readdirSync(targetDir)) {
+      if (entry === '.includes' && fs.statSync(path.join(targetDir, entry)).isDirectory()) {
+        for (const include of fs.readdirSync(path.join(targetDir, entry))) {
+          if (!include.startsWith('@')) {
+            fs.rmSync(path.join(targetDir, entry, include), { recursive: true, force: true });
+          }
+        }
+      } else if (![PRESETS_DIR, SETTINGS_FILE, PACKS_LOCK_FILE, '.git', BACKUPS_DIR, ARCHIVE_DIR].includes(entry)) {
+        fs.rmSync(path.join(targetDir, entry), { recursive: true, force: true });
+      }
+    }
+  }
+
+  fs.mkdirSync(targetDir, { recursive: true });
+  fs.cpSync(includesTemplatesDir, path.join(targetDir, '.includes'), { recursive: true });
+
+  const agents = agentNames.map((agentName) => {
+    const agentTargetDir = path.join(targetDir, agentName);
+    const preset = selectPreset(agentName);
+    seedAgentTemplates(agentTargetDir, baseTemplatesDir, entrypointTemplateFiles, preset);
+    return { id: agentName, preset: preset.name, directory: agentTargetDir };
+  });
+
+  writeUpstreamSnapshot(targetDir, listUpstreamFiles(baseTemplatesDir, includesTemplatesDir), {});
+  const adoption = options.fromWorkspace ? adoptWorkspaces(targetDir, agentEntries) : undefined;
+
+  let git;
+  if (options.git) {
+    const gitignorePath = path.join(targetDir, '.gitignore');
+    if (!fs.existsSync(gitignorePath)) {
+      fs.writeFileSync(gitignorePath, `${BACKUPS_DIR}/\n`, 'utf8');
+    }
+    git = initRepository(targetDir, `Initialize templates with openclaw-templates ${packageVersion}`);
+  }
+
+  return {
+    templatesDir: targetDir,
+    agents,
+    files: listFilesRecursive(targetDir)
+      .map((file) => toManifestKey(file.relativePath))
+      .filter(
+        (file) =>
+          ![PRESETS_DIR, UPSTREAM_DIR, BACKUPS_DIR, ARCHIVE_DIR, '.git'].some((dir) => file.startsWith(`${dir}/`)),
+      ),
+    adopted: adoption && adoption.agents,
+    sharedIncludes: adoption && adoption.sharedIncludes,
+    git,
+    warnings: [
+      ...getSkippedAgentWarnings(parseOpenclawConfig(openclawConfigPath), openclawConfigPath),
+      ...(adoption ? adoption.warnings : []),
+    ],
+  };
+}
+
+async function pullAgents(options = {}) {
+  const {
+    openclawDir,
+    targetDir,
+    baseTemplatesDir,
+    includesTemplatesDir,
+    presetsTemplatesDir,
+    openclawConfigPath,
+    settings,
+  } = getInitPaths(options.openclawDir, options.templatesDir);
+  const agentNames = getAgentNames(openclawConfigPath, openclawDir);
+  const entrypointTemplateFiles = getEntrypointTemplateFiles(baseTemplatesDir);
+  assertIncludesTemplatesDir(includesTemplatesDir);
+  assertTemplatesDirExists(targetDir);
+
+  const selectPreset = parsePresetOptions(
+    options.presets && options.presets.length > 0 ? options.presets : settings.presets,
+    listPresets(presetsTemplatesDir, targetDir),
+    agentNames,
+    openclawConfigPath,
+  );
+  const targetIncludesDir = path.join(targetDir, '.includes');
+  if (!fs.existsSync(targetIncludesDir)) {
+    fs.cpSync(includesTemplatesDir, targetIncludesDir, { recursive: true });
+  }
+
+  const added = [];
+  const existing = [];
+  for (const agentName of agentNames) {
+    const agentTargetDir = path.join(targetDir, agentName);
+
+    if (fs.existsSync(agentTargetDir)) {
+      if (!fs.statSync(agentTargetDir).isDirectory()) {
+        throw new WorkspaceError(`Agent template path exists but is not a directory: ${agentTargetDir}`);
+      }
+      existing.push(agentName);
+      continue;
+    }
+
+    const preset = selectPreset(agentName);
+    seedAgentTemplates(agentTargetDir, baseTemplatesDir, entrypointTemplateFiles, preset);
+    added.push({ id: agentName, preset: preset.name, directory: agentTargetDir });
+  }
+
+  return {
+    templatesDir: targetDir,
+    added,
+    existing,
+    warnings: getSkippedAgentWarnings(parseOpenclawConfig(openclawConfigPath), openclawConfigPath),
+  };
+}
+
+function resolveAgentLayerDirs(targetDir, agentNames) {
+  return new Set(
+    agentNames
+      .map((agentName) => path.join(targetDir, agentName))
+      .filter((agentDir) => fs.existsSync(agentDir))
+      .flatMap((agentDir) => resolveTemplateLayers(agentDir).layers),
+  );
+}
+
+// Dirs that an agent inherits from via `extends` are in use even though no agent has their name. Callers that have
+// already resolved the agents' layers (and reported the ones that fail to resolve) pass them as `layerDirs`.
+function findOrphanedTemplateDirs(targetDir, agentNames, layerDirs = resolveAgentLayerDirs(targetDir, agentNames)) {
+  return fs
+    .readdirSync(targetDir, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory() && !dirent.name.startsWith('.'))
+    .map((dirent) => dirent.name)
+    .filter((name) => !agentNames.includes(name) && !layerDirs.has(path.join(targetDir, name)))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// A removed id whose files the build manifest of a new agent's workspace still records was most likely renamed.
+function findLikelyRenames(targetDir, entries, orphanNames) {
+  const renames = [];
+  const claimed = new Set();
+
+  for (const entry of entries) {
+    if (fs.existsSync(path.join(targetDir, entry.name))) {
+      continue;
+    }
+
+    const counts = new Map();
+    for (const file of Object.values(readBuildManifest(entry.workspace).files)) {
+      const [sourceDir] = typeof file.source === 'string' ? file.source.split('/') : [];
+      if (orphanNames.includes(sourceDir) && !claimed.has(sourceDir)) {
+        counts.set(sourceDir, (counts.get(sourceDir) || 0) + 1);
+      }
+    }
+    const [from] = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+    if (from) {
+      claimed.add(from);
+      renames.push({ from, to: entry.name, workspace: entry.workspace });
+    }
+  }
+
+  return renames;
+}
+
+function renameManifestSources(workspace, from, to) {
+  const manifest = readBuildManifest(workspace);
+  const files = Object.fromEntries(
+    Object.entries(manifest.files).map(([key, file]) => [
+      key,
+      typeof file.source === 'string' && file.source.startsWith(`${from}/`)
+        ? { ...file, source: `${to}/${file.source.slice(from.length + 1)}` }
+        : file,
+    ]),
+  );
+  if (Object.keys(files).length > 0) {
+    writeBuildManifest(workspace, { ...manifest, files });
+  }
+}
+
+function getArchiveDir(targetDir, name) {
+  const dateDir = path.join(targetDir, ARCHIVE_DIR, new Date().toISOString().slice(0, 10));
+  let archiveDir = path.join(dateDir, name);
+  for (let suffix = 2; fs.existsSync(archiveDir); suffix += 1) {
+    archiveDir = path.join(dateDir, `${name}-${suffix}`);
+  }
+  return archiveDir;
+}
+
+async function pruneAgents(options = {}) {
+  if (options.archive && options.delete) {
+    throw new UsageError('Use either --archive or --delete, not both.');
+  }
+
+  const { openclawDir, targetDir, openclawConfigPath } = getInitPaths(options.openclawDir, options.templatesDir);
+  const entries = getAgentEntries(openclawConfigPath, openclawDir);
+  assertTemplatesDirExists(targetDir);
+
+  const orphanNames = findOrphanedTemplateDirs(
+    targetDir,
+    entries.map((entry) => entry.name),
+  );
+  const renames =
+    options.rename === false
+      ? []
+      : findLikelyRenames(targetDir, entries, orphanNames).map((rename) => ({ ...rename, applied: false }));
+  const renamedNames = new Set(renames.map((rename) => rename.from));
+  const orphans = orphanNames
+    .filter((name) => !renamedNames.has(name))
+    .map((name) => ({ name, directory: path.join(targetDir, name), action: 'kept' }));
+  const result = {
+    templatesDir: targetDir,
+    orphans,
+    renames,
+    cancelled: false,
+    warnings: getSkippedAgentWarnings(parseOpenclawConfig(openclawConfigPath), openclawConfigPath),
+  };
+
+  if (!options.archive && !options.delete) {
+    return result;
+  }
+  if (options.delete && orphans.length > 0 && options.confirm && !(await options.confirm(orphans))) {
+    result.cancelled = true;
+    return result;
+  }
+
+  for (const rename of renames) {
+    fs.renameSync(path.join(targetDir, rename.from), path.join(targetDir, rename.to));
+    renameManifestSources(rename.workspace, rename.from, rename.to);
+    rename.applied = true;
+  }
+  for (const orphan of orphans) {
+    if (options.delete) {
+      fs.rmSync(orphan.directory, { recursive: true, force: true });
+      orphan.action = 'deleted';
+    } else {
+      orphan.archivedTo = getArchiveDir(targetDir, orphan.name);
+      fs.mkdirSync(path.dirname(orphan.archivedTo), { recursive: true });
+      fs.renameSync(orphan.directory, orphan.archivedTo);
+      orphan.action = 'archived';
+    }
+  }
+
+  return result;
+}
+
+async function upgrade(options = {}) {
+  const { openclawDir, targetDir, baseTemplatesDir, includesTemplatesDir, openclawConfigPath } = getInitPaths(
+    options.openclawDir,
+    options.templatesDir,
+  );
+  const agentNames = getAgentNames(openclawConfigPath, openclawDir);
+  assertIncludesTemplatesDir(includesTemplatesDir);
+  assertTemplatesDirExists(targetDir);
+  if (options.accept !== undefined && !UPGRADE_ACCEPT_SIDES.includes(options.accept)) {
+    throw new UsageError(`Invalid --accept value: ${options.accept}`, {
+      hint: `Use one of: ${UPGRADE_ACCEPT_SIDES.join(', ')}.`,
+    });
+  }
+
+  const previousVersions = readUpstreamVersions(targetDir);
+  const snapshotDir = path.join(targetDir, UPSTREAM_DIR);
+  const upstreamFiles = listUpstreamFiles(baseTemplatesDir, includesTemplatesDir);
+  const layerChains = agentNames
+    .map((agentName) => path.join(targetDir, agentName))
+    .filter((agentDir) => fs.existsSync(agentDir))
+    .map((agentDir) => resolveTemplateLayers(agentDir).layers);
+  const results = [];
+
+  // Entrypoints merge into every template dir that has its own copy; new ones land in the root of each extends chain.
+  const listEntrypointTargets = (fileName) => {
+    const targets = new Set();
+    for (const layers of layerChains) {
+      const existing = layers.map((dir) => path.join(dir, fileName)).filter((filePath) => fs.existsSync(filePath));
+      (existing.length > 0 ? existing : [path.join(layers[layers.length - 1], fileName)]).forEach((filePath) =>
+        targets.add(filePath),
+      );
+    }
+    return [...targets];
+  };
+
+  for (const file of upstreamFiles) {
+    const basePath = previousVersions.packageVersion ? path.join(snapshotDir, ...file.key.split('/')) : undefined;
+    const localPaths = file.key.startsWith('.base/')
+      ? listEntrypointTargets(path.basename(file.key))
+      : [path.join(targetDir, ...file.key.split('/'))];
+
+    for (const localPath of localPaths) {
+      const merged = mergeUpstreamFile(basePath, localPath, file.absolutePath);
+      if (merged.status === 'no-baseline' && options.accept === 'theirs') {
+        results.push({ localPath, status: 'updated', content: fs.readFileSync(file.absolutePath, 'utf8') });
+      } else if (merged.status === 'no-baseline' && options.accept === 'ours') {
+        results.push({ localPath, status: 'kept-locally' });
+      } else {
+        results.push({ localPath, ...merged });
+      }
+    }
+  }
+
+  const counts = {
+    added: 0,
+    updated: 0,
+    merged: 0,
+    conflict: 0,
+    'no-baseline': 0,
+    'kept-locally': 0,
+    'deleted-locally': 0,
+  };
+  const files = [];
+  for (const result of results) {
+    if (result.status === 'unchanged') {
+      continue;
+    }
+    counts[result.status] += 1;
+    files.push({ path: toManifestKey(path.relative(targetDir, result.localPath)), status: result.status });
+  }
+
+  if (!options.dryRun) {
+    for (const result of results) {
+      if (result.content !== undefined) {
+        fs.mkdirSync(path.dirname(result.localPath), { recursive: true });
+        fs.writeFileSync(result.localPath, result.content, 'utf8');
+      }
+    }
+    // Recording the snapshot now would make the unresolved files look like untouched upstream copies next time.
+    if (counts['no-baseline'] === 0) {
+      writeUpstreamSnapshot(targetDir, upstreamFiles, previousVersions.files);
+    }
+  }
+
+  return {
+    templatesDir: targetDir,
+    dryRun: Boolean(options.dryRun),
+    fromVersion: previousVersions.packageVersion,
+    toVersion: packageVersion,
+    files,
+    counts,
+    pendingChanges: counts.added + counts.updated + counts.merged + counts.conflict + counts['no-baseline'],
+  };
+}
+
+async function presets(options = {}) {
+  const { targetDir, baseTemplatesDir, presetsTemplatesDir } = getInitPaths(options.openclawDir, options.templatesDir);
+
+  return {
+    templatesDir: targetDir,
+    presets: [...listPresets(presetsTemplatesDir, targetDir).values()].map((preset) => ({
+      ...preset,
+      files: preset.dir
+        ? listFilesRecursive(preset.dir).map((file) => toManifestKey(file.relativePath))
+        : [`${path.basename(baseTemplatesDir)}/*.md`],
+    })),
+  };
+}
+
+module.exports = {
+  init,
+  pullAgents,
+  findOrphanedTemplateDirs,
+  findLikelyRenames,
+  pruneAgents,
+  upgrade,
+  presets,
+};
@@ -0,0 +1,60 @@
+const path = require('node:path');
+const { toManifestKey } = require('./files');
+const { createTemplateContext, readOutputLines } = require('./compile');
+const { getAgentTemplatesDir, planWorkspaceBuild, resolveBuildTargets } = require('./build');
+const { estimateTokens, findBudgetViolations, measurePlanFiles, resolveTokenLimits } = require('./budget');
+const { resolveBuildFlag } = require('./settings');
+
+function sortIncludes(characters) {
+  return [...characters.entries()]
+    .map(([file, count]) => ({ file, characters: count, tokens: estimateTokens(count) }))
+    .sort((a, b) => b.characters - a.characters || a.file.localeCompare(b.file));
+}
+
+// Measures what a build with the same options would leave in the workspace, through the same plan and measurement as
+// the build's budget check: policies and seed files are honored, and skipped files count with their workspace content.
+function measureAgent(targetDir, entry, settings, overwrite, wipe) {
+  const plan = planWorkspaceBuild(entry, getAgentTemplatesDir(targetDir, entry), overwrite, wipe, settings.policies);
+  const actions = new Map(plan.actions.map((action) => [toManifestKey(action.relativePath), action]));
+  const context = createTemplateContext(entry);
+  const agentIncludes = new Map();
+
+  const files = measurePlanFiles(plan).map((file) => {
+    const action = actions.get(file.path);
+    const includes = new Map();
+    if (action.compiled) {
+      // Lines are attributed to the innermost file they came from, so nested includes count on their own.
+      for (const line of readOutputLines({ absolutePath: action.sourcePath }, context, plan.includeDirs)) {
+        if (line.filePath !== action.sourcePath) {
+          const key = toManifestKey(path.relative(targetDir, line.filePath));
+          includes.set(key, (includes.get(key) || 0) + line.text.length + 1);
+          agentIncludes.set(key, (agentIncludes.get(key) || 0) + line.text.length + 1);
+        }
+      }
+    }
+    return { ...file, includes: sortIncludes(includes) };
+  });
+
+  const totals = { characters: 0, lines: 0, tokens: 0 };
+  for (const file of files) {
+    totals.characters += file.characters;
+    totals.lines += file.lines;
+    totals.tokens += file.tokens;
+  }
+  return { id: entry.id, workspace: entry.workspace, files, totals, includes: sortIncludes(agentIncludes) };
+}
+
+async function stats(options = {}) {
+  const { targetDir, settings, entries, warnings } = resolveBuildTargets(options, true);
+  const limits = resolveTokenLimits(options, settings.build);
+  const overwrite = resolveBuildFlag(options, settings, 'overwrite');
+  const wipe = resolveBuildFlag(options, settings, 'wipe');
+
+  const agents = entries.map((entry) => measureAgent(targetDir, entry, settings, overwrite, wipe));
+  const violations = agents.flatMap((agent) => findBudgetViolations(agent.id, agent.files, limits));
+  return { templatesDir: targetDir, limits, agents, violations, ok: violations.length === 0, warnings };
+}
+
+module.exports = {
+  stats,
+};
@@ -0,0 +1,198 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { merge: mergeDiff3 } = require('node-diff3');
+const { version: packageVersion } = require('../package.json');
+const { ConfigError, TemplatesDirError, UsageError } = require('./errors');
+const { listFilesRecursive, readExistingFile, toManifestKey } = require('./files');
+const { PRESETS_DIR } = require('./paths');
+
+const UPSTREAM_DIR = '.upstream';
+const UPSTREAM_VERSIONS_FILE = 'versions.json';
+const DEFAULT_PRESET = 'default';
+
+function getEntrypointTemplateFiles(baseTemplatesDir) {
+  if (!fs.existsSync(baseTemplatesDir)) {
+    throw new TemplatesDirError(`Base templates directory not found: ${baseTemplatesDir}`);
+  }
+
+  const entrypointTemplateFiles = fs
+    .readdirSync(baseTemplatesDir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.md'))
+    .map((entry) => entry.name);
+
+  if (entrypointTemplateFiles.length === 0) {
+    throw new TemplatesDirError(`No entrypoint template files found in ${baseTemplatesDir}`);
+  }
+
+  return entrypointTemplateFiles;
+}
+
+function assertIncludesTemplatesDir(includesTemplatesDir) {
+  if (!fs.existsSync(includesTemplatesDir)) {
+    throw new TemplatesDirError(`Includes templates directory not found: ${includesTemplatesDir}`);
+  }
+}
+
+function listUpstreamFiles(baseTemplatesDir, includesTemplatesDir) {
+  const baseFiles = getEntrypointTemplateFiles(baseTemplatesDir).map((fileName) => ({
+    key: `.base/${fileName}`,
+    absolutePath: path.join(baseTemplatesDir, fileName),
+  }));
+  const includeFiles = listFilesRecursive(includesTemplatesDir).map((file) => ({
+    key: `.includes/${toManifestKey(file.relativePath)}`,
+    absolutePath: file.absolutePath,
+  }));
+  return [...baseFiles, ...includeFiles];
+}
+
+function readUpstreamVersions(targetDir) {
+  const versionsPath = path.join(targetDir, UPSTREAM_DIR, UPSTREAM_VERSIONS_FILE);
+  if (!fs.existsSync(versionsPath)) {
+    return { packageVersion: undefined, files: {} };
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(versionsPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to parse JSON in ${versionsPath}: ${error.message}`);
+  }
+}
+
+function writeUpstreamSnapshot(targetDir, upstreamFiles, previousVersions) {
+  const upstreamDir = path.join(targetDir, UPSTREAM_DIR);
+  const files = {};
+  const contents = upstreamFiles.map((file) => {
+    const content = fs.readFileSync(file.absolutePath);
+    const previous = readExistingFile(path.join(upstreamDir, ...file.key.split('/')));
+    const unchanged = previous?.equals(content) && previousVersions[file.key];
+    files[file.key] = unchanged ? previousVersions[file.key] : packageVersion;
+    return { key: file.key, content };
+  });
+
+  fs.rmSync(upstreamDir, { recursive: true, force: true });
+  for (const file of contents) {
+    const snapshotPath = path.join(upstreamDir, ...file.key.split('/'));
+    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+    fs.writeFileSync(snapshotPath, file.content);
+  }
+
+  fs.writeFileSync(
+    path.join(upstreamDir, UPSTREAM_VERSIONS_FILE),
+    `${JSON.stringify({ packageVersion, files }, null, 2)}\n`,
+    'utf8',
+  );
+}
+
+function mergeUpstreamFile(basePath, localPath, upstreamPath) {
+  const upstream = fs.readFileSync(upstreamPath, 'utf8');
+  const base = basePath && fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : undefined;
+
+  if (base === upstream) {
+    return { status: 'unchanged' };
+  }
+  if (!fs.existsSync(localPath)) {
+    return base === undefined ? { status: 'added', content: upstream } : { status: 'deleted-locally' };
+  }
+
+  const local = fs.readFileSync(localPath, 'utf8');
+  if (local === upstream) {
+    return { status: 'unchanged' };
+  }
+  if (local === base) {
+    return { status: 'updated', content: upstream };
+  }
+  // Merging against an empty base would wrap the whole file in conflict markers, so leave it for the caller to resolve.
+  if (base === undefined) {
+    return { status: 'no-baseline' };
+  }
+
+  const merged = mergeDiff3(local.split('\n'), base.split('\n'), upstream.split('\n'), {
+    label: { a: 'local', b: `upstream ${packageVersion}` },
+  });
+  return { status: merged.conflict ? 'conflict' : 'merged', content: merged.result.join('\n') };
+}
+
+function listPresets(presetsTemplatesDir, targetDir) {
+  const presets = new Map([[DEFAULT_PRESET, { name: DEFAULT_PRESET, source: 'built-in', dir: undefined }]]);
+  const presetRoots = [
+    { source: 'built-in', rootDir: presetsTemplatesDir },
+    { source: 'user', rootDir: path.join(targetDir, PRESETS_DIR) },
+  ];
+
+  // User presets in the templates dir shadow built-in presets of the same name.
+  for (const { source, rootDir } of presetRoots) {
+    if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+      continue;
+    }
+    const presetDirs = fs
+      .readdirSync(rootDir, { withFileTypes: true })
+      .filter((dirent) => dirent.isDirectory())
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const dirent of presetDirs) {
+      presets.set(dirent.name, { name: dirent.name, source, dir: path.join(rootDir, dirent.name) });
+    }
+  }
+
+  return presets;
+}
+
+function parsePresetOptions(presetOptions, presets, agentNames, openclawConfigPath) {
+  const assignments = new Map();
+  let defaultPreset = presets.get(DEFAULT_PRESET);
+  let defaultAssigned = false;
+
+  const getPreset = (presetName) => {
+    const preset = presets.get(presetName);
+    if (!preset) {
+      throw new UsageError(`Unknown preset: ${presetName} (available: ${[...presets.keys()].join(', ')})`);
+    }
+    return preset;
+  };
+
+  for (const option of presetOptions) {
+    const separatorIndex = option.indexOf('=');
+    if (separatorIndex === -1) {
+      if (defaultAssigned) {
+        throw new UsageError('Only one default --preset may be given; use <agent>=<preset> for the others.');
+      }
+      defaultPreset = getPreset(option.trim());
+      defaultAssigned = true;
+      continue;
+    }
+
+    const agentName = option.slice(0, separatorIndex).trim();
+    if (!agentNames.includes(agentName)) {
+      throw new UsageError(`Agent id not found in ${openclawConfigPath}: ${agentName} (from --preset ${option})`);
+    }
+    assignments.set(agentName, getPreset(option.slice(separatorIndex + 1).trim()));
+  }
+
+  return (agentName) => assignments.get(agentName) || defaultPreset;
+}
+
+function seedAgentTemplates(agentTargetDir, baseTemplatesDir, entrypointTemplateFiles, preset) {
+  fs.mkdirSync(agentTargetDir, { recursive: true });
+  for (const fileName of entrypointTemplateFiles) {
+    fs.copyFileSync(path.join(baseTemplatesDir, fileName), path.join(agentTargetDir, fileName));
+  }
+
+  // A preset is an overlay on .base: its files replace or add to the stock entrypoints.
+  if (preset.dir) {
+    fs.cpSync(preset.dir, agentTargetDir, { recursive: true });
+  }
+}
+
+module.exports = {
+  UPSTREAM_DIR,
+  DEFAULT_PRESET,
+  packageVersion,
+  getEntrypointTemplateFiles,
+  assertIncludesTemplatesDir,
+  listUpstreamFiles,
+  readUpstreamVersions,
+  writeUpstreamSnapshot,
+  mergeUpstreamFile,
+  listPresets,
+  parsePresetOptions,
+  seedAgentTemplates,
+};
@@ -0,0 +1,216 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const { WorkspaceError } = require('./errors');
+const { isChildPath, pathTouchesGitMetadata, toManifestKey } = require('./files');
+const { listAgentTemplateFiles, resolveTemplateLayers } = require('./layers');
+const { IGNORE_FILE } = require('./ignore');
+const { createTemplateContext } = require('./compile');
+const { readBuildManifest, recordManifestEntries, writeBuildManifest } = require('./manifest');
+const { getInitPaths } = require('./paths');
+const { resolveKeepBackups, snapshotWorkspace } = require('./backups');
+const { resolveBuildFlag } = require('./settings');
+const { getAgentTemplatesDir, planTemplateFile, resolveBuildTargets, writeBuildAction } = require('./build');
+
+const WATCH_DEBOUNCE_MS = 200;
+
+// Resolves to an emitter of `rebuild`, `drift-skip`, `remove`, `warning` (compile errors) and `error` events.
+// Compile errors from the initial scan are emitted on the next turn so callers can attach listeners first.
+async function watch(options = {}) {
+  const { settings } = getInitPaths(options.openclawDir, options.templatesDir);
+  const allowNonIncludeOverwrite = resolveBuildFlag(options, settings, 'overwrite');
+  const keepBackups = resolveKeepBackups(options.keepBackups, settings.build.keepBackups);
+  const { targetDir, entries, warnings } = resolveBuildTargets(options, resolveBuildFlag(options, settings, 'force'));
+  const emitter = new EventEmitter();
+  const scanErrors = [];
+  let scanning = true;
+
+  const watchedAgents = entries.map((entry) => {
+    const agentTemplatesDir = getAgentTemplatesDir(targetDir, entry, 'Run `openclaw-templates pull-agents` to add it.');
+    return { entry, agentTemplatesDir, ...resolveTemplateLayers(agentTemplatesDir), files: new Map() };
+  });
+
+  function compileWatchedFile(agent, file, write) {
+    const { entry, includeDirs } = agent;
+    const dependencies = new Set([file.absolutePath]);
+    const manifest = readBuildManifest(entry.workspace);
+    let action;
+
+    try {
+      action = planTemplateFile(entry, file, {
+        templateContext: createTemplateContext(entry),
+        includeDirs,
+        manifest,
+        allowNonIncludeOverwrite,
+        wipeWorkspace: false,
+        dependencies,
+        policies: settings.policies,
+      });
+    } catch (error) {
+      // Keep watching everything the file used before, so fixing either side triggers a retry.
+      const previous = agent.files.get(file.relativePath);
+      agent.files.set(file.relativePath, new Set([...(previous || []), ...dependencies]));
+      if (scanning) {
+        scanErrors.push(error);
+      } else {
+        emitter.emit('warning', error);
+      }
+      return undefined;
+    }
+
+    agent.files.set(file.relativePath, dependencies);
+    if (!write || action.type === 'skip' || action.type === 'unchanged') {
+      return undefined;
+    }
+    if (action.type === 'drifted') {
+      emitter.emit('drift-skip', { id: entry.id, path: toManifestKey(file.relativePath) });
+      return undefined;
+    }
+    return action;
+  }
+
+  // Like `build`, files about to be replaced are snapshotted first so `restore` can undo a rebuild. A workspace that
+  // became unwritable or was deleted mid-session is reported and must not end the watcher.
+  function writeWatchedActions(agent, actions) {
+    const { entry, agentTemplatesDir } = agent;
+    if (actions.length === 0) {
+      return;
+    }
+    const warn = (message, error) =>
+      emitter.emit('warning', new WorkspaceError(`${message}: ${error.message}`, { cause: error }));
+
+    try {
+      snapshotWorkspace(targetDir, { entry, actions, wiped: [] }, 'watch', keepBackups);
+    } catch (error) {
+      warn(`Failed to back up ${entry.id} before rebuilding`, error);
+      return;
+    }
+
+    const written = [];
+    for (const action of actions) {
+      try {
+        writeBuildAction(action);
+        written.push(action);
+      } catch (error) {
+        warn(`Failed to rebuild ${entry.id}: ${toManifestKey(action.relativePath)}`, error);
+      }
+    }
+    if (written.length === 0) {
+      return;
+    }
+
+    try {
+      const manifest = readBuildManifest(entry.workspace);
+      writeBuildManifest(
+        entry.workspace,
+        recordManifestEntries(manifest, agentTemplatesDir, written, new Date().toISOString()),
+      );
+    } catch (error) {
+      warn(`Failed to update the build manifest of ${entry.id}`, error);
+    }
+    for (const action of written) {
+      emitter.emit('rebuild', {
+        id: entry.id,
+        path: toManifestKey(action.relativePath),
+        destinationPath: action.destinationPath,
+      });
+    }
+  }
+
+  function listWatchedFiles(agent) {
+    try {
+      return listAgentTemplateFiles(agent.layers, agent.entry);
+    } catch (error) {
+      if (scanning) {
+        scanErrors.push(error);
+      } else {
+        emitter.emit('warning', error);
+      }
+      return undefined;
+    }
+  }
+
+  for (const agent of watchedAgents) {
+    for (const file of listWatchedFiles(agent) || []) {
+      compileWatchedFile(agent, file, false);
+    }
+  }
+  scanning = false;
+  setImmediate(() => scanErrors.forEach((error) => emitter.emit('warning', error)));
+
+  function rebuildChangedPaths(changedPaths) {
+    for (const agent of watchedAgents) {
+      const dependsOn = (dependencies) => [...changedPaths].some((changedPath) => dependencies.has(changedPath));
+      const relevant =
+        changedPaths.has(path.join(targetDir, IGNORE_FILE)) ||
+        [...changedPaths].some((changedPath) => agent.layers.some((dir) => isChildPath(dir, changedPath))) ||
+        [...agent.files.values()].some(dependsOn);
+      if (!relevant) {
+        continue;
+      }
+
+      // Front matter and ignore files can add, drop or move files, so the file list is read again after every change.
+      const files = listWatchedFiles(agent);
+      if (!files) {
+        continue;
+      }
+      const current = new Map(files.map((file) => [file.relativePath, file]));
+      for (const relativePath of [...agent.files.keys()].sort()) {
+        if (!current.has(relativePath)) {
+          agent.files.delete(relativePath);
+          emitter.emit('remove', { id: agent.entry.id, path: toManifestKey(relativePath) });
+        }
+      }
+
+      const actions = [];
+      for (const file of [...current.values()].sort((a, b) => a.relativePath.localeCompare(b.relativePath))) {
+        const dependencies = agent.files.get(file.relativePath);
+        if (!dependencies || changedPaths.has(file.absolutePath) || dependsOn(dependencies)) {
+          const action = compileWatchedFile(agent, file, true);
+          if (action) {
+            actions.push(action);
+          }
+        }
+      }
+      writeWatchedActions(agent, actions);
+    }
+  }
+
+  let pendingPaths = new Set();
+  let debounceTimer;
+  const watcher = fs.watch(targetDir, { recursive: true }, (eventType, fileName) => {
+    if (!fileName || pathTouchesGitMetadata(fileName.toString())) {
+      return;
+    }
+
+    pendingPaths.add(path.join(targetDir, fileName.toString()));
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      const changedPaths = pendingPaths;
+      pendingPaths = new Set();
+      try {
+        rebuildChangedPaths(changedPaths);
+      } catch (error) {
+        emitter.emit('warning', error);
+      }
+    }, WATCH_DEBOUNCE_MS);
+  });
+
+  watcher.on('error', (error) => {
+    emitter.emit('error', new WorkspaceError(`Failed to watch ${targetDir}: ${error.message}`, { cause: error }));
+  });
+
+  emitter.templatesDir = targetDir;
+  emitter.agentCount = watchedAgents.length;
+  emitter.warnings = warnings;
+  emitter.close = () => {
+    clearTimeout(debounceTimer);
+    watcher.close();
+  };
+  return emitter;
+}
+
+module.exports = {
+  WATCH_DEBOUNCE_MS,
+  watch,
+};
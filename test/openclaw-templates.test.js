@@ -3,7 +3,7 @@ const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const os = require('node:os');
 const path = require('node:path');
-const { spawnSync } = require('node:child_process');
+const { spawn, spawnSync } = require('node:child_process');
 
 const repoRoot = path.resolve(__dirname, '..');
 const cliPath = path.join(repoRoot, 'bin', 'openclaw-templates.js');
@@ -70,6 +70,45 @@ function runCli(homeDir, args, expectedCode = 0, extraEnv = {}) {
   return result;
 }
 
+function startCli(t, homeDir, args) {
+  const child = spawn(process.execPath, [cliPath, ...args], {
+    cwd: repoRoot,
+    env: {
+      ...process.env,
+      HOME: homeDir,
+      USERPROFILE: homeDir,
+    },
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+  });
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+  t.after(() => {
+    child.kill();
+  });
+
+  return {
+    waitForOutput(pattern, timeoutMs = 10000) {
+      const startedAt = Date.now();
+      return new Promise((resolve, reject) => {
+        const poll = () => {
+          if (pattern.test(output)) {
+            resolve(output);
+          } else if (Date.now() - startedAt > timeoutMs || child.exitCode !== null) {
+            reject(new Error(`Timed out waiting for ${pattern}; output:\n${output}`));
+          } else {
+            setTimeout(poll, 50);
+          }
+        };
+        poll();
+      });
+    },
+  };
+}
+
 test('help output includes all commands and build flags', () => {
   const result = spawnSync(process.execPath, [cliPath, '--help'], {
     cwd: repoRoot,
@@ -78,8 +117,11 @@ test('help output includes all commands and build flags', () => {
 
   assert.equal(result.status, 0);
   assert.match(result.stdout, /openclaw-templates \[--openclaw <path>\] \[--templates <path>\] init \[--force\]/);
+  assert.match(result.stdout, /openclaw-templates \[--openclaw <path>\] \[--templates <path>\] presets/);
   assert.match(result.stdout, /openclaw-templates \[--openclaw <path>\] \[--templates <path>\] pull-agents/);
+  assert.match(result.stdout, /openclaw-templates \[--openclaw <path>\] \[--templates <path>\] prune-agents/);
   assert.match(result.stdout, /openclaw-templates \[--openclaw <path>\] \[--templates <path>\] doctor/);
+  assert.match(result.stdout, /openclaw-templates \[--openclaw <path>\] \[--templates <path>\] includes add <source>/);
   assert.match(
     result.stdout,
     /openclaw-templates \[--openclaw <path>\] \[--templates <path>\] build \[workspace\] \[--overwrite\] \[--wipe\] \[--force\]/,
@@ -115,12 +157,16 @@ test('init requires --force to recreate an existing target directory', (t) => {
 
   const marker = path.join(homeDir, '.openclaw-templates', 'alpha-id', 'marker.txt');
   fs.writeFileSync(marker, 'remove me', 'utf8');
+  const archived = path.join(homeDir, '.openclaw-templates', '.archive', '2026-01-01', 'gone-id', 'SOUL.md');
+  fs.mkdirSync(path.dirname(archived), { recursive: true });
+  fs.writeFileSync(archived, 'keep me', 'utf8');
 
   const secondInit = runCli(homeDir, ['init'], 1);
   assert.match(secondInit.stderr, /Directory already exists/);
 
   runCli(homeDir, ['init', '--force']);
   assert.equal(fs.existsSync(marker), false);
+  assert.equal(fs.readFileSync(archived, 'utf8'), 'keep me');
 });
 
 test('doctor passes with valid config and templates', (t) => {
@@ -132,6 +178,72 @@ test('doctor passes with valid config and templates', (t) => {
   assert.match(result.stdout, /Entrypoint templates \(.base\):/);
 });
 
+test('doctor checks the templates dir and --fix repairs missing agent dirs and shared includes', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  fs.rmSync(path.join(templatesDir, 'beta-id'), { recursive: true });
+  fs.rmSync(path.join(templatesDir, '.includes', 'SOUL', 'VIBE.md'));
+  fs.appendFileSync(path.join(templatesDir, 'alpha-id', 'USER.md'), '#include "../.includes/USER/MISSING.md"\n');
+  fs.mkdirSync(path.join(templatesDir, 'retired-id'));
+
+  const broken = runCli(homeDir, ['doctor'], 1);
+  assert.match(broken.stdout, /Doctor checks failed/);
+  assert.match(broken.stdout, /error: Template directory not found for agent beta-id \(repair with --fix\)/);
+  assert.match(
+    broken.stdout,
+    /error: alpha-id\/SOUL\.md:\d+ includes missing \.includes\/SOUL\/VIBE\.md \(repair with --fix\)/,
+  );
+  assert.match(broken.stdout, /error: alpha-id\/USER\.md:\d+ includes missing \.includes\/USER\/MISSING\.md$/m);
+  assert.match(broken.stdout, /warning: retired-id does not match any agent/);
+
+  const fixed = runCli(homeDir, ['doctor', '--fix'], 1);
+  assert.match(fixed.stdout, /Fixed: Recreated .*beta-id from the default preset/);
+  assert.ok(fs.existsSync(path.join(templatesDir, 'beta-id', 'SOUL.md')));
+  assert.ok(fs.existsSync(path.join(templatesDir, '.includes', 'SOUL', 'VIBE.md')));
+
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', 'USER.md'), '# User\n');
+  const report = JSON.parse(runCli(homeDir, ['doctor', '--json']).stdout);
+  assert.equal(report.ok, true);
+  const orphans = report.checks.find((check) => check.id === 'orphaned-template-dirs');
+  assert.equal(orphans.status, 'warning');
+  assert.equal(orphans.problems[0].path, path.join(templatesDir, 'retired-id'));
+});
+
+test('doctor follows #if branches per agent and reports invalid front matter instead of stopping', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  fs.appendFileSync(
+    path.join(templatesDir, 'alpha-id', 'USER.md'),
+    '#if agent.id == "beta-id"\n#include "../.includes/USER/MISSING.md"\n#endif\n',
+  );
+  const passing = runCli(homeDir, ['doctor']);
+  assert.match(passing.stdout, /Doctor checks passed/);
+  assert.doesNotMatch(passing.stdout, /includes missing/);
+
+  fs.writeFileSync(path.join(templatesDir, 'beta-id', 'NOTES.md'), '---\nmode: sometimes\n---\n# Notes\n', 'utf8');
+  const report = JSON.parse(runCli(homeDir, ['doctor', '--json'], 1).stdout);
+  const agentDirs = report.checks.find((check) => check.id === 'agent-template-dirs');
+  assert.equal(agentDirs.status, 'error');
+  assert.match(agentDirs.problems[0].message, /^beta-id: Invalid front matter in .*NOTES\.md: mode must be one of/);
+  assert.equal(report.checks.find((check) => check.id === 'includes').status, 'ok');
+});
+
+test('doctor reports workspaces nested inside another agent workspace', (t) => {
+  const homeDir = makeTempHome(t);
+  const config = createDefaultConfig(homeDir);
+  config.agents.list[1].workspace = path.join(homeDir, '.openclaw', 'workspace', 'alpha');
+  writeOpenclawConfig(homeDir, config);
+
+  const result = runCli(homeDir, ['doctor'], 1);
+  assert.match(result.stdout, /error: alpha-id: workspace is nested inside the workspace of main/);
+});
+
 test('pull-agents fails if init has not been run', (t) => {
   const homeDir = makeTempHome(t);
   writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
@@ -163,6 +275,88 @@ test('pull-agents adds template directories for new agents without overwriting e
   assert.equal(fs.readFileSync(alphaAgentsTemplate, 'utf8'), 'custom alpha template\n');
 });
 
+test('prune-agents archives or deletes removed agents and follows renames via the build manifest', (t) => {
+  const homeDir = makeTempHome(t);
+  const config = createDefaultConfig(homeDir);
+  writeOpenclawConfig(homeDir, config);
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', 'AGENTS.md'), 'custom alpha template\n', 'utf8');
+  config.agents.list = [config.agents.list[0], { ...config.agents.list[1], id: 'alpha-renamed' }];
+  writeOpenclawConfig(homeDir, config);
+
+  const doctorResult = runCli(homeDir, ['doctor'], 1);
+  assert.match(doctorResult.stdout, /agent alpha-renamed; alpha-id looks like its old id/);
+  assert.match(doctorResult.stdout, /warning: beta-id does not match any agent/);
+
+  const listResult = runCli(homeDir, ['prune-agents']);
+  assert.match(listResult.stdout, /alpha-id -> alpha-renamed: likely renamed/);
+  assert.match(listResult.stdout, /beta-id: no matching agent/);
+  assert.ok(fs.existsSync(path.join(templatesDir, 'beta-id')));
+
+  const deleteResult = runCli(homeDir, ['prune-agents', '--delete'], 1);
+  assert.match(deleteResult.stderr, /Refusing to delete 1 template dir\(s\) without confirmation/);
+  assert.ok(fs.existsSync(path.join(templatesDir, 'alpha-id')));
+
+  const archiveResult = runCli(homeDir, ['prune-agents', '--archive']);
+  const archivedTo = path.join('.archive', new Date().toISOString().slice(0, 10), 'beta-id');
+  assert.match(archiveResult.stdout, new RegExp(`beta-id: archived to ${archivedTo.replace(/[.\\]/g, '\\$&')}`));
+  assert.ok(fs.existsSync(path.join(templatesDir, archivedTo, 'SOUL.md')));
+  assert.ok(!fs.existsSync(path.join(templatesDir, 'alpha-id')));
+  assert.equal(
+    fs.readFileSync(path.join(templatesDir, 'alpha-renamed', 'AGENTS.md'), 'utf8'),
+    'custom alpha template\n',
+  );
+  runCli(homeDir, ['status', 'alpha-renamed']);
+
+  fs.mkdirSync(path.join(templatesDir, 'stale-id'));
+  runCli(homeDir, ['prune-agents', '--delete', '--yes']);
+  assert.ok(!fs.existsSync(path.join(templatesDir, 'stale-id')));
+  runCli(homeDir, ['doctor']);
+});
+
+test('init and pull-agents seed agent directories from built-in and user presets', (t) => {
+  const homeDir = makeTempHome(t);
+  const config = createDefaultConfig(homeDir);
+  writeOpenclawConfig(homeDir, config);
+
+  runCli(homeDir, ['init', '--preset', 'coding', '--preset', 'beta-id=research']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const vibeOverride = (agentId) => path.join(templatesDir, agentId, '.includes', 'SOUL', 'VIBE.md');
+  assert.match(fs.readFileSync(vibeOverride('alpha-id'), 'utf8'), /engineer/);
+  assert.match(fs.readFileSync(vibeOverride('main'), 'utf8'), /engineer/);
+  assert.match(fs.readFileSync(vibeOverride('beta-id'), 'utf8'), /uncertainty/);
+  assert.ok(fs.existsSync(path.join(templatesDir, 'alpha-id', 'SOUL.md')));
+
+  runCli(homeDir, ['build', 'alpha-id']);
+  const alphaSoul = fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'SOUL.md'), 'utf8');
+  assert.match(alphaSoul, /Be the engineer you'd want reviewing your code\./);
+
+  const householdDir = path.join(templatesDir, '.presets', 'household');
+  fs.mkdirSync(householdDir, { recursive: true });
+  fs.writeFileSync(path.join(householdDir, 'SOUL.md'), '# Household soul\n', 'utf8');
+  const presets = runCli(homeDir, ['presets']);
+  assert.match(presets.stdout, /^default \(built-in\): \.base\/\*\.md$/m);
+  assert.match(presets.stdout, /^coding \(built-in\): /m);
+  assert.match(presets.stdout, /^household \(user\): SOUL\.md$/m);
+  const presetsReport = JSON.parse(runCli(homeDir, ['--json', 'presets']).stdout);
+  assert.equal(presetsReport.templatesDir, templatesDir);
+  assert.deepEqual(presetsReport.presets.find((preset) => preset.name === 'household').files, ['SOUL.md']);
+
+  config.agents.list.push({ id: 'gamma-id', workspace: path.join(homeDir, '.openclaw', 'workspace-gamma') });
+  writeOpenclawConfig(homeDir, config);
+  runCli(homeDir, ['pull-agents', '--preset', 'gamma-id=household']);
+  assert.equal(fs.readFileSync(path.join(templatesDir, 'gamma-id', 'SOUL.md'), 'utf8'), '# Household soul\n');
+  assert.ok(fs.existsSync(path.join(templatesDir, 'gamma-id', 'USER.md')));
+
+  const unknown = runCli(homeDir, ['init', '--force', '--preset', 'nope'], 1);
+  assert.match(unknown.stderr, /Unknown preset: nope \(available: default, coding, group-chat, research, household\)/);
+  runCli(homeDir, ['init', '--force', '--preset', 'household']);
+  assert.equal(fs.readFileSync(path.join(templatesDir, 'alpha-id', 'SOUL.md'), 'utf8'), '# Household soul\n');
+});
+
 test('doctor fails on duplicate agent ids in config', (t) => {
   const homeDir = makeTempHome(t);
   writeOpenclawConfig(homeDir, {
@@ -201,6 +395,50 @@ test('doctor fails on duplicate workspaces in config', (t) => {
   assert.match(result.stderr, /Duplicate workspace/);
 });
 
+test('config accepts JSON5 and expands ${VAR} and ~ in workspace paths', (t) => {
+  const homeDir = makeTempHome(t);
+  const configPath = path.join(homeDir, '.openclaw', 'openclaw.json');
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(
+    configPath,
+    [
+      '{',
+      '  // Workspaces for the household agents',
+      '  agents: {',
+      "    defaults: { workspace: '~/.openclaw/workspace' },",
+      '    list: [',
+      "      { id: 'main' },",
+      "      { id: 'alpha-id', workspace: '${OPENCLAW_TEST_ROOT}/workspace-alpha', },",
+      '    ],',
+      '  },',
+      '}',
+      '',
+    ].join('\n'),
+    'utf8',
+  );
+
+  const env = { OPENCLAW_TEST_ROOT: path.join(homeDir, '.openclaw') };
+  runCli(homeDir, ['init'], 0, env);
+  const report = JSON.parse(runCli(homeDir, ['--json', 'status'], 0, env).stdout);
+  assert.deepEqual(
+    report.workspaces.map((workspace) => [workspace.id, workspace.workspace]),
+    [
+      ['main', path.join(homeDir, '.openclaw', 'workspace')],
+      ['alpha-id', path.join(homeDir, '.openclaw', 'workspace-alpha')],
+    ],
+  );
+
+  const unset = runCli(homeDir, ['doctor'], 1);
+  assert.match(
+    unset.stderr,
+    /Environment variable OPENCLAW_TEST_ROOT is not set \(used in agents\.list\[1\]\.workspace/,
+  );
+
+  fs.writeFileSync(configPath, '{\n  agents: {\n    list: [,\n  },\n}\n', 'utf8');
+  const invalid = runCli(homeDir, ['doctor'], 1);
+  assert.match(invalid.stderr, /Failed to parse JSON in .*openclaw\.json at line 3, column 12: invalid character ','/);
+});
+
 test('build fails if init has not been run', (t) => {
   const homeDir = makeTempHome(t);
   writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
@@ -306,6 +544,153 @@ test('build --wipe preserves workspace .git directory', (t) => {
   assert.equal(fs.existsSync(path.join(alphaWorkspace, 'legacy.txt')), false);
 });
 
+test('build --wipe backs up deleted files and restore puts the workspace back exactly', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const workspaceDir = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const readWorkspace = () =>
+    Object.fromEntries(
+      fs
+        .readdirSync(workspaceDir, { recursive: true })
+        .filter((file) => fs.statSync(path.join(workspaceDir, file)).isFile())
+        .sort()
+        .map((file) => [file, fs.readFileSync(path.join(workspaceDir, file), 'utf8')]),
+    );
+  assert.ok(!fs.existsSync(path.join(templatesDir, '.backups')));
+
+  fs.mkdirSync(path.join(workspaceDir, 'memory'), { recursive: true });
+  fs.writeFileSync(path.join(workspaceDir, 'memory', 'notes.md'), 'agent notes\n', 'utf8');
+  const before = readWorkspace();
+
+  const wipe = runCli(homeDir, ['build', 'alpha-id', '--wipe']);
+  assert.match(wipe.stdout, /Backed up replaced files for 1 workspace\(s\)/);
+  assert.ok(!fs.existsSync(path.join(workspaceDir, 'memory', 'notes.md')));
+
+  const list = runCli(homeDir, ['backups', 'alpha-id']);
+  assert.match(list.stdout, /=== alpha-id\n {2}\S+ {2}wipe {6}2 file\(s\) saved, 0 created by the build/);
+
+  const restored = runCli(homeDir, ['restore', 'alpha-id']);
+  assert.match(restored.stdout, /2 file\(s\) restored, 0 removed/);
+  assert.deepEqual(readWorkspace(), before);
+
+  runCli(homeDir, ['build', 'alpha-id', '--wipe', '--keep-backups', '1']);
+  const report = JSON.parse(runCli(homeDir, ['--json', 'backups']).stdout);
+  assert.deepEqual(
+    report.agents.map((agent) => [agent.id, agent.snapshots.length]),
+    [['alpha-id', 1]],
+  );
+
+  const missing = runCli(homeDir, ['restore', 'alpha-id', 'no-such-snapshot'], 1);
+  assert.match(missing.stderr, /Backup no-such-snapshot not found for agent alpha-id/);
+  runCli(homeDir, ['restore', 'beta-id'], 1);
+
+  const noTemplates = runCli(homeDir, ['--templates', path.join(homeDir, 'nowhere'), 'restore', 'alpha-id'], 1);
+  assert.match(noTemplates.stderr, /Templates directory not found: .*nowhere/);
+});
+
+test('init --from-workspace adopts customized workspaces and replaces known fragments with includes', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const betaWorkspace = path.join(homeDir, '.openclaw', 'workspace-beta');
+  fs.rmSync(templatesDir, { recursive: true, force: true });
+
+  for (const workspace of [alphaWorkspace, betaWorkspace]) {
+    fs.appendFileSync(path.join(workspace, 'SOUL.md'), '\n## House Rules\n\nAlways answer in English.\n');
+  }
+  fs.writeFileSync(path.join(alphaWorkspace, 'NOTES.md'), '# Notes\n\nKeep {{braces}} as written.\n', 'utf8');
+  const betaSoul = fs.readFileSync(path.join(betaWorkspace, 'SOUL.md'), 'utf8');
+  fs.writeFileSync(path.join(betaWorkspace, 'SOUL.md'), betaSoul.replace('Be genuinely helpful', 'Be really helpful'));
+
+  const result = JSON.parse(runCli(homeDir, ['--json', 'init', '--from-workspace']).stdout);
+  assert.deepEqual(result.sharedIncludes, ['.includes/SOUL/HOUSE_RULES.md']);
+  const alphaFiles = result.adopted.find((agent) => agent.id === 'alpha-id').files;
+  assert.ok(alphaFiles.some((file) => file.path === 'NOTES.md' && file.includes.length === 0));
+
+  const alphaSoul = fs.readFileSync(path.join(templatesDir, 'alpha-id', 'SOUL.md'), 'utf8');
+  assert.match(alphaSoul, /^#include "\.\.\/\.includes\/SOUL\/CORE_TRUTHS\.md"$/m);
+  assert.match(alphaSoul, /^#include "\.\.\/\.includes\/SOUL\/HOUSE_RULES\.md"$/m);
+  const betaTemplate = fs.readFileSync(path.join(templatesDir, 'beta-id', 'SOUL.md'), 'utf8');
+  assert.doesNotMatch(betaTemplate, /CORE_TRUTHS/);
+  assert.match(betaTemplate, /Be really helpful/);
+  assert.match(betaTemplate, /^#include "\.\.\/\.includes\/SOUL\/HOUSE_RULES\.md"$/m);
+  assert.equal(
+    fs.readFileSync(path.join(templatesDir, '.includes', 'SOUL', 'HOUSE_RULES.md'), 'utf8'),
+    '## House Rules\n\nAlways answer in English.\n',
+  );
+  assert.equal(
+    fs.readFileSync(path.join(templatesDir, 'alpha-id', 'NOTES.md'), 'utf8'),
+    '# Notes\n\nKeep \\{{braces}} as written.\n',
+  );
+
+  const dryRun = runCli(homeDir, ['build', '--dry-run']);
+  assert.match(dryRun.stdout, /Dry run: no changes across 3 workspace\(s\)\./);
+
+  // Warnings point at the workspace line, past the lines that became includes.
+  fs.appendFileSync(path.join(alphaWorkspace, 'SOUL.md'), '#if agent.id\n');
+  const directiveLine =
+    fs.readFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'utf8').split('\n').indexOf('#if agent.id') + 1;
+  const readopted = JSON.parse(runCli(homeDir, ['--json', 'init', '--force', '--from-workspace']).stdout);
+  assert.ok(
+    readopted.warnings.includes(
+      `alpha-id: SOUL.md:${directiveLine} looks like a template directive and will not build as written.`,
+    ),
+  );
+});
+
+test('init --git tracks the templates dir and build --commit commits built files in workspace repos', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  const gitEnv = {
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+  };
+  const git = (cwd, args) => {
+    const result = spawnSync('git', args, { cwd, encoding: 'utf8', env: { ...process.env, ...gitEnv, HOME: homeDir } });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+  };
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const initResult = runCli(homeDir, ['init', '--git'], 0, gitEnv);
+  assert.match(initResult.stdout, /Created git repository in .*\.openclaw-templates \(commit [0-9a-f]{7}\)/);
+  assert.match(git(templatesDir, ['log', '--format=%s']), /^Initialize templates with openclaw-templates /);
+  assert.equal(git(templatesDir, ['status', '--porcelain']), '');
+
+  const workspaceDir = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  fs.mkdirSync(workspaceDir, { recursive: true });
+  git(workspaceDir, ['init', '--quiet']);
+  fs.writeFileSync(path.join(workspaceDir, 'notes.md'), 'agent notes\n', 'utf8');
+
+  const dirty = runCli(homeDir, ['build', 'alpha-id', '--commit'], 1, gitEnv);
+  assert.match(dirty.stderr, /Refusing to build over uncommitted workspace changes:\n {2}alpha-id: notes\.md/);
+  assert.ok(!fs.existsSync(path.join(workspaceDir, 'SOUL.md')));
+
+  const built = runCli(homeDir, ['build', 'alpha-id', '--commit', '--allow-dirty'], 0, gitEnv);
+  assert.match(built.stdout, /Committed the build in 1 workspace repository\(s\)/);
+  const message = git(workspaceDir, ['log', '-1', '--format=%B']);
+  assert.match(message, /^Build alpha-id from \d+ templates\n\nGenerated by openclaw-templates build\./);
+  assert.match(message, /^create SOUL\.md \(alpha-id\/SOUL\.md\)$/m);
+  assert.equal(git(workspaceDir, ['status', '--porcelain']), '?? notes.md\n');
+
+  fs.appendFileSync(path.join(templatesDir, 'alpha-id', 'SOUL.md'), '\nOne more rule.\n');
+  runCli(homeDir, ['build', 'alpha-id', '--commit', '--allow-dirty'], 0, gitEnv);
+  assert.equal(git(workspaceDir, ['log', '-1', '--format=%s']), 'Build alpha-id from alpha-id/SOUL.md\n');
+  assert.deepEqual(git(workspaceDir, ['show', '--name-only', '--format=']).trim().split('\n').sort(), [
+    '.openclaw-templates-manifest.json',
+    'SOUL.md',
+  ]);
+});
+
 test('build never writes into workspace .git paths', (t) => {
   const homeDir = makeTempHome(t);
   writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
@@ -327,6 +712,870 @@ test('build never writes into workspace .git paths', (t) => {
   assert.equal(fs.existsSync(path.join(alphaWorkspace, 'nested', '.git', 'config')), false);
 });
 
+test('build resolves agent variables in entrypoints and shared includes', (t) => {
+  const homeDir = makeTempHome(t);
+  const config = createDefaultConfig(homeDir);
+  config.agents.defaults.model = 'default-model';
+  config.agents.list[1].model = 'alpha-model';
+  config.agents.list[1].identity = { emoji: 'A' };
+  writeOpenclawConfig(homeDir, config);
+  runCli(homeDir, ['init']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  fs.writeFileSync(
+    path.join(templatesDir, '.includes', 'SOUL', 'HEADER.md'),
+    'You are {{agent.name}} ({{ agent.id }}) on {{agent.model}}.\nLiteral \\{{agent.id}}\n',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(templatesDir, 'alpha-id', 'PATHS.md'),
+    'Workspace: {{agent.workspace}} {{agent.identity.emoji}}\n',
+    'utf8',
+  );
+
+  runCli(homeDir, ['build', 'alpha-id']);
+  runCli(homeDir, ['build', 'beta-id']);
+
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const alphaSoul = fs.readFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'utf8');
+  assert.match(alphaSoul, /^You are alpha-name \(alpha-id\) on alpha-model\.$/m);
+  assert.match(alphaSoul, /^Literal \{\{agent\.id\}\}$/m);
+  assert.equal(fs.readFileSync(path.join(alphaWorkspace, 'PATHS.md'), 'utf8'), `Workspace: ${alphaWorkspace} A\n`);
+
+  const betaSoul = fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-beta', 'SOUL.md'), 'utf8');
+  assert.match(betaSoul, /^You are beta-name \(beta-id\) on default-model\.$/m);
+});
+
+test('build fails on unknown template variables with file and line', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const includePath = path.join(homeDir, '.openclaw-templates', '.includes', 'SOUL', 'VIBE.md');
+  fs.writeFileSync(includePath, '## Vibe\n\nMood: {{agent.mood}}\n', 'utf8');
+
+  const result = runCli(homeDir, ['build', 'alpha-id'], 1);
+  assert.match(result.stderr, /Unknown template variable \{\{agent\.mood\}\}/);
+  assert.ok(result.stderr.includes(`${includePath}:3`));
+});
+
+test('build evaluates #if/#elif/#else blocks against agent properties', (t) => {
+  const homeDir = makeTempHome(t);
+  const config = createDefaultConfig(homeDir);
+  config.agents.list[1].tags = ['group-chat'];
+  config.agents.list[2].heartbeat = { every: '30m' };
+  writeOpenclawConfig(homeDir, config);
+  runCli(homeDir, ['init']);
+
+  fs.writeFileSync(
+    path.join(homeDir, '.openclaw-templates', '.includes', 'SOUL', 'VIBE.md'),
+    [
+      '#if "group-chat" in agent.tags',
+      'Group rules for {{agent.name}}',
+      '#elif agent.heartbeat && agent.id != "main"',
+      'Heartbeat every {{agent.heartbeat.every}}',
+      '#else',
+      'Solo {{agent.missing}}',
+      '#endif',
+      '',
+    ].join('\n'),
+    'utf8',
+  );
+
+  runCli(homeDir, ['build', 'alpha-id']);
+  runCli(homeDir, ['build', 'beta-id']);
+
+  const alphaSoul = fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'SOUL.md'), 'utf8');
+  assert.match(alphaSoul, /^Group rules for alpha-name$/m);
+  assert.doesNotMatch(alphaSoul, /^#(if|elif|else|endif)/m);
+  assert.doesNotMatch(alphaSoul, /Heartbeat every|Solo/);
+
+  const betaSoul = fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-beta', 'SOUL.md'), 'utf8');
+  assert.match(betaSoul, /^Heartbeat every 30m$/m);
+  assert.doesNotMatch(betaSoul, /Group rules|Solo/);
+
+  const mainResult = runCli(homeDir, ['build', 'main'], 1);
+  assert.match(mainResult.stderr, /Unknown template variable \{\{agent\.missing\}\}/);
+});
+
+test('build fails on unterminated conditional blocks', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatePath = path.join(homeDir, '.openclaw-templates', 'alpha-id', 'SOUL.md');
+  fs.writeFileSync(templatePath, '# Soul\n\n#if agent.tags\nTagged\n', 'utf8');
+
+  const result = runCli(homeDir, ['build', 'alpha-id'], 1);
+  assert.ok(result.stderr.includes(`Unterminated #if at ${templatePath}:3`));
+});
+
+test('build leaves directive-looking lines inside code fences as text', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatePath = path.join(homeDir, '.openclaw-templates', 'alpha-id', 'SOUL.md');
+  fs.writeFileSync(
+    templatePath,
+    '# Soul\n\n```\n#if foo\n```\n\n#if agent.id == "alpha-id"\n~~~\n#endif\n~~~\n#endif\n',
+    'utf8',
+  );
+
+  runCli(homeDir, ['build', 'alpha-id']);
+  const alphaSoul = fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'SOUL.md'), 'utf8');
+  assert.equal(alphaSoul, '# Soul\n\n```\n#if foo\n```\n\n~~~\n#endif\n~~~\n');
+});
+
+test('build --dry-run prints diffs and exits 2 without touching the workspace', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  fs.mkdirSync(alphaWorkspace, { recursive: true });
+  fs.writeFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'old soul\n', 'utf8');
+  fs.writeFileSync(path.join(alphaWorkspace, 'legacy.txt'), 'legacy\n', 'utf8');
+
+  const result = runCli(homeDir, ['build', 'alpha-id', '--dry-run', '--wipe'], 2);
+  assert.match(result.stdout, /^=== alpha-id /m);
+  assert.match(result.stdout, /^--- a\/SOUL\.md\n\+\+\+ b\/SOUL\.md$/m);
+  assert.match(result.stdout, /^-old soul$/m);
+  assert.match(result.stdout, /^--- \/dev\/null\n\+\+\+ b\/IDENTITY\.md$/m);
+  assert.match(result.stdout, /^--- a\/legacy\.txt\n\+\+\+ \/dev\/null$/m);
+  assert.match(result.stdout, /alpha-id: \d+ created, 1 modified, 0 unchanged, 0 skipped, 1 wiped/);
+
+  assert.equal(fs.readFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'utf8'), 'old soul\n');
+  assert.ok(fs.existsSync(path.join(alphaWorkspace, 'legacy.txt')));
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, 'IDENTITY.md')), false);
+  assert.equal(fs.existsSync(path.join(homeDir, '.openclaw', 'workspace-beta')), false);
+});
+
+test('build --dry-run exits 0 when workspaces are up to date', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+
+  const result = runCli(homeDir, ['build', 'alpha-id', '--dry-run']);
+  assert.doesNotMatch(result.stdout, /^\+\+\+ /m);
+  assert.match(result.stdout, /alpha-id: 0 created, 0 modified, \d+ unchanged, 0 skipped, 0 wiped/);
+  assert.match(result.stdout, /Dry run: no changes across 1 workspace\(s\)\./);
+});
+
+test('stats reports sizes, tokens and the largest includes, and limits fail stats and build', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const report = JSON.parse(runCli(homeDir, ['--json', 'stats', 'alpha-id']).stdout);
+  const [agent] = report.agents;
+  const soul = agent.files.find((file) => file.path === 'SOUL.md');
+  assert.ok(soul.tokens > 0 && soul.tokens === Math.ceil(soul.characters / 4));
+  assert.ok(soul.includes.length > 0);
+  assert.ok(soul.includes.every((include) => include.file.startsWith('.includes/')));
+  assert.ok(agent.files.every((file) => !file.path.includes('/') && file.path.endsWith('.md')));
+  assert.equal(
+    agent.totals.tokens,
+    agent.files.reduce((sum, file) => sum + file.tokens, 0),
+  );
+  assert.equal(report.ok, true);
+
+  const text = runCli(homeDir, ['stats', 'alpha-id']);
+  assert.match(text.stdout, /^=== alpha-id /m);
+  assert.match(text.stdout, /^ {2}SOUL\.md +\d+ chars +\d+ lines +~\d+ tokens$/m);
+  assert.match(text.stdout, /^ {2}largest includes:\n {4} *~\d+ tokens {2}\.includes\//m);
+
+  const overFile = runCli(homeDir, ['stats', 'alpha-id', '--max-file-tokens', '1'], 1);
+  assert.match(overFile.stderr, /error: alpha-id: SOUL\.md is ~\d+ tokens, over the per-file limit of 1/);
+  runCli(homeDir, ['stats', 'alpha-id'], 1, { OCLAWTPL_MAX_AGENT_TOKENS: '1' });
+
+  const workspaceDir = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const overAgent = runCli(homeDir, ['build', 'alpha-id', '--max-agent-tokens', '1'], 1);
+  assert.match(overAgent.stderr, /over the token budget:\n {2}alpha-id is ~\d+ tokens, over the per-agent limit of 1/);
+  assert.ok(!fs.existsSync(workspaceDir));
+
+  runCli(homeDir, ['build', 'alpha-id', '--max-agent-tokens', String(agent.totals.tokens)]);
+  assert.ok(fs.existsSync(path.join(workspaceDir, 'SOUL.md')));
+});
+
+test('stats measures what build would leave, honoring seed-once and never-touch policies', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const workspaceDir = path.join(homeDir, '.openclaw', 'workspace-alpha');
+
+  fs.writeFileSync(path.join(workspaceDir, 'SOUL.md'), `${'x'.repeat(4000)}\n`, 'utf8');
+  fs.rmSync(path.join(workspaceDir, 'USER.md'));
+  fs.writeFileSync(
+    path.join(templatesDir, 'openclaw-templates.json'),
+    JSON.stringify({ policies: { 'SOUL.md': 'seed-once', 'USER.md': 'never-touch' } }),
+    'utf8',
+  );
+
+  const [agent] = JSON.parse(runCli(homeDir, ['--json', 'stats', 'alpha-id']).stdout).agents;
+  assert.equal(agent.files.find((file) => file.path === 'SOUL.md').tokens, 1001);
+  assert.ok(!agent.files.some((file) => file.path === 'USER.md'));
+
+  const limit = String(agent.totals.tokens - 1);
+  runCli(homeDir, ['stats', 'alpha-id', '--max-agent-tokens', limit], 1);
+  runCli(homeDir, ['build', 'alpha-id', '--max-agent-tokens', limit], 1);
+  runCli(homeDir, ['stats', 'alpha-id', '--max-agent-tokens', String(agent.totals.tokens)]);
+  runCli(homeDir, ['build', 'alpha-id', '--max-agent-tokens', String(agent.totals.tokens)]);
+});
+
+test('lint flags unfilled placeholders and structural problems in compiled output', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  const alphaDir = path.join(homeDir, '.openclaw-templates', 'alpha-id');
+
+  const stock = runCli(homeDir, ['lint', 'alpha-id']);
+  assert.match(
+    stock.stdout,
+    /^alpha-id\/IDENTITY\.md:\d+: warning placeholder: Unfilled placeholder _\(pick something you like\)_ \(from \.includes\/IDENTITY\/PROFILE\.md:2\)$/m,
+  );
+  assert.match(stock.stdout, /^alpha-id\/USER\.md:\d+: warning empty-field: Empty field "Timezone"/m);
+  assert.match(stock.stdout, /Lint found 0 error\(s\) and \d+ warning\(s\) across 1 agent\(s\)\./);
+
+  fs.writeFileSync(path.join(alphaDir, 'NOTES.md'), '# Notes\n\n### Deep\n\n#include "notes.txt"\n\n# Notes\n', 'utf8');
+  const broken = runCli(homeDir, ['lint', 'alpha-id'], 1);
+  assert.match(broken.stdout, /^alpha-id\/NOTES\.md:3: warning heading-hierarchy: Heading level jumps from h1 to h3/m);
+  assert.match(broken.stdout, /^alpha-id\/NOTES\.md:5: error unexpanded-include: Include tag was not expanded/m);
+  assert.match(
+    broken.stdout,
+    /^alpha-id\/NOTES\.md:7: warning duplicate-heading: Duplicate heading "# Notes" \(first at line 1\)/m,
+  );
+  runCli(homeDir, ['lint', 'alpha-id', '--rule', 'unexpanded-include=off']);
+
+  fs.writeFileSync(path.join(alphaDir, '.template.json'), '{ "lint": { "placeholder": "off" } }\n', 'utf8');
+  fs.appendFileSync(path.join(alphaDir, 'USER.md'), '\n<!-- openclaw-templates-disable empty-field -->\n');
+  const configured = runCli(homeDir, ['--json', 'lint', 'alpha-id'], 1);
+  const rules = new Set(JSON.parse(configured.stdout).findings.map((finding) => finding.rule));
+  assert.deepEqual([...rules].sort(), ['duplicate-heading', 'heading-hierarchy', 'unexpanded-include']);
+
+  const unknown = runCli(homeDir, ['lint', '--rule', 'no-such-rule=off'], 1);
+  assert.match(unknown.stderr, /Unknown lint rule in --rule: no-such-rule/);
+});
+
+test('check-links reports broken relative links and copies missing assets from includes', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+
+  fs.appendFileSync(
+    path.join(templatesDir, 'alpha-id', 'IDENTITY.md'),
+    [
+      '',
+      '- **Avatar:** avatars/alpha.png',
+      '',
+      'See [tools](TOOLS.md#top), [the guide](docs/guide.md), [the site](https://example.com) and ![logo](../logo.png).',
+      '`[not a link](nowhere.md)`',
+      '',
+    ].join('\n'),
+  );
+  fs.mkdirSync(path.join(templatesDir, '.includes', 'avatars'), { recursive: true });
+  fs.writeFileSync(path.join(templatesDir, '.includes', 'avatars', 'alpha.png'), 'png', 'utf8');
+
+  const broken = runCli(homeDir, ['check-links', 'alpha-id'], 1);
+  assert.match(
+    broken.stdout,
+    /^alpha-id\/IDENTITY\.md:\d+: avatars\/alpha\.png not found in the workspace \(from alpha-id\/IDENTITY\.md:\d+\); copy it from \.includes\/avatars\/alpha\.png with --copy-assets$/m,
+  );
+  assert.match(broken.stdout, /: docs\/guide\.md not found in the workspace/);
+  assert.match(broken.stdout, /: \.\.\/logo\.png points outside the workspace/);
+  assert.doesNotMatch(broken.stdout, /TOOLS\.md|nowhere\.md|example\.com/);
+  assert.match(broken.stdout, /Found 3 broken link\(s\) out of 5 across 1 agent\(s\)\./);
+
+  const built = runCli(homeDir, ['build', 'alpha-id']);
+  assert.match(
+    built.stderr,
+    /^Warning: alpha-id: IDENTITY\.md:\d+ links to docs\/guide\.md, which is not in the workspace$/m,
+  );
+
+  const copied = runCli(homeDir, ['check-links', 'alpha-id', '--copy-assets'], 1);
+  assert.match(copied.stdout, /copied \.includes\/avatars\/alpha\.png to avatars\/alpha\.png/);
+  assert.equal(fs.readFileSync(path.join(alphaWorkspace, 'avatars', 'alpha.png'), 'utf8'), 'png');
+
+  fs.mkdirSync(path.join(alphaWorkspace, 'docs'));
+  fs.writeFileSync(path.join(alphaWorkspace, 'docs', 'guide.md'), '# Guide\n', 'utf8');
+  fs.writeFileSync(
+    path.join(templatesDir, 'alpha-id', 'IDENTITY.md'),
+    fs
+      .readFileSync(path.join(templatesDir, 'alpha-id', 'IDENTITY.md'), 'utf8')
+      .replace(' and ![logo](../logo.png)', ''),
+  );
+  const fixed = runCli(homeDir, ['--json', 'check-links', 'alpha-id']);
+  const result = JSON.parse(fixed.stdout);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.counts, { checked: 4, broken: 0, copied: 0 });
+});
+
+test('front matter sets the output path, target agents and seed mode of template files', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const betaWorkspace = path.join(homeDir, '.openclaw', 'workspace-beta');
+
+  const familyDir = path.join(templatesDir, 'family');
+  fs.mkdirSync(familyDir);
+  for (const agentDir of ['alpha-id', 'beta-id']) {
+    fs.writeFileSync(path.join(templatesDir, agentDir, '.template.json'), '{ "extends": "family" }\n', 'utf8');
+  }
+  fs.writeFileSync(
+    path.join(familyDir, 'runbook.md'),
+    '---\noutput: docs/RUNBOOK.md\nexclude-agents: beta-id\n---\n---\nsummary: Runbook\n---\n# Runbook for {{agent.name}}\n',
+    'utf8',
+  );
+  fs.writeFileSync(path.join(familyDir, 'memory.md'), '---\noutput: MEMORY.md\nmode: seed\n---\n# Memory\n', 'utf8');
+  fs.writeFileSync(path.join(familyDir, 'DRAFT.md'), '---\nenabled: false\n---\n# Draft\n', 'utf8');
+
+  runCli(homeDir, ['build']);
+  assert.equal(
+    fs.readFileSync(path.join(alphaWorkspace, 'docs', 'RUNBOOK.md'), 'utf8'),
+    '---\nsummary: Runbook\n---\n# Runbook for alpha-name\n',
+  );
+  assert.equal(fs.existsSync(path.join(betaWorkspace, 'docs')), false);
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, 'runbook.md')), false);
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, 'DRAFT.md')), false);
+  assert.equal(fs.readFileSync(path.join(betaWorkspace, 'MEMORY.md'), 'utf8'), '# Memory\n');
+
+  fs.writeFileSync(path.join(betaWorkspace, 'MEMORY.md'), '# Memory\n\n- learned something\n', 'utf8');
+  runCli(homeDir, ['build', 'beta-id', '--overwrite']);
+  assert.equal(fs.readFileSync(path.join(betaWorkspace, 'MEMORY.md'), 'utf8'), '# Memory\n\n- learned something\n');
+
+  fs.writeFileSync(path.join(familyDir, 'memory.md'), '---\noutput: MEMORY.md\nmode: sometimes\n---\n', 'utf8');
+  const invalid = runCli(homeDir, ['build', 'beta-id'], 1);
+  assert.match(invalid.stderr, /Invalid front matter in .*memory\.md: mode must be one of managed, seed/);
+});
+
+test('openclaw-templates.json sets the openclaw dir, build defaults and per-path policies', (t) => {
+  const homeDir = makeTempHome(t);
+  const openclawDir = path.join(homeDir, 'openclaw');
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir), openclawDir);
+  runCli(homeDir, ['--openclaw', openclawDir, 'init']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const settingsPath = path.join(templatesDir, 'openclaw-templates.json');
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  fs.mkdirSync(path.join(templatesDir, 'alpha-id', 'memory'));
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', 'memory', 'README.md'), '# Memory\n', 'utf8');
+  fs.writeFileSync(
+    settingsPath,
+    `{
+      // resolved against the templates dir
+      openclaw: '../openclaw',
+      build: { keepBackups: 0 },
+      policies: { 'USER.md': 'seed-once', 'SOUL.md': 'always-compile', 'memory/**': 'never-touch' },
+    }\n`,
+    'utf8',
+  );
+
+  runCli(homeDir, ['build', 'alpha-id']);
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, 'memory')), false);
+  fs.appendFileSync(path.join(alphaWorkspace, 'USER.md'), 'Prefers tea.\n', 'utf8');
+  fs.appendFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'Edited by hand.\n', 'utf8');
+  fs.mkdirSync(path.join(alphaWorkspace, 'memory'));
+  fs.writeFileSync(path.join(alphaWorkspace, 'memory', '2026-10-18.md'), 'notes\n', 'utf8');
+  fs.writeFileSync(path.join(alphaWorkspace, 'stray.txt'), 'stray\n', 'utf8');
+
+  runCli(homeDir, ['build', 'alpha-id', '--wipe']);
+  assert.match(fs.readFileSync(path.join(alphaWorkspace, 'USER.md'), 'utf8'), /Prefers tea\.\n$/);
+  assert.doesNotMatch(fs.readFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'utf8'), /Edited by hand/);
+  assert.equal(fs.readFileSync(path.join(alphaWorkspace, 'memory', '2026-10-18.md'), 'utf8'), 'notes\n');
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, 'stray.txt')), false);
+  assert.equal(fs.existsSync(path.join(templatesDir, '.backups')), false);
+
+  const doctorResult = runCli(homeDir, ['doctor']);
+  assert.match(
+    doctorResult.stdout,
+    /warning: .*never-touch policy "memory\/\*\*" keeps memory\/README\.md from being built/,
+  );
+
+  fs.writeFileSync(
+    settingsPath,
+    '{ "build": { "commit": "yes" }, "policies": { "TOOLS.md": "sometimes" }, "extra": 1 }\n',
+    'utf8',
+  );
+  const invalid = runCli(homeDir, ['--openclaw', openclawDir, 'doctor'], 1);
+  assert.match(invalid.stdout, /error: openclaw-templates\.json: unknown key\(s\) extra/);
+  assert.match(invalid.stdout, /error: openclaw-templates\.json: build\.commit must be true or false/);
+  assert.match(invalid.stdout, /error: openclaw-templates\.json: policy for "TOOLS\.md" must be one of seed-once/);
+  const failedBuild = runCli(homeDir, ['--openclaw', openclawDir, 'build'], 1);
+  assert.match(failedBuild.stderr, /Invalid templates config in .*openclaw-templates\.json:\n {2}unknown key/);
+});
+
+test('.openclaw-templatesignore keeps drafts and notes out of builds and doctor lists them', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const alphaTemplatesDir = path.join(templatesDir, 'alpha-id');
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const betaWorkspace = path.join(homeDir, '.openclaw', 'workspace-beta');
+
+  fs.writeFileSync(
+    path.join(templatesDir, '.openclaw-templatesignore'),
+    '# scratch files\n*.draft.md\n!KEEP.draft.md\nnotes/\n',
+    'utf8',
+  );
+  fs.writeFileSync(path.join(alphaTemplatesDir, '.openclaw-templatesignore'), 'TODO.md\n', 'utf8');
+  for (const agentDir of ['alpha-id', 'beta-id']) {
+    fs.writeFileSync(path.join(templatesDir, agentDir, 'TODO.md'), '- [ ] finish SOUL.md\n', 'utf8');
+  }
+  fs.writeFileSync(path.join(alphaTemplatesDir, 'SOUL.draft.md'), '# Soul, take two\n', 'utf8');
+  fs.writeFileSync(path.join(alphaTemplatesDir, 'KEEP.draft.md'), '# Kept\n', 'utf8');
+  fs.mkdirSync(path.join(alphaTemplatesDir, 'notes'));
+  fs.writeFileSync(path.join(alphaTemplatesDir, 'notes', 'idea.md'), 'idea\n', 'utf8');
+
+  runCli(homeDir, ['build']);
+  for (const fileName of ['TODO.md', 'SOUL.draft.md', 'notes', '.openclaw-templatesignore']) {
+    assert.equal(fs.existsSync(path.join(alphaWorkspace, fileName)), false, fileName);
+  }
+  assert.equal(fs.readFileSync(path.join(alphaWorkspace, 'KEEP.draft.md'), 'utf8'), '# Kept\n');
+  assert.equal(fs.existsSync(path.join(betaWorkspace, 'TODO.md')), true);
+
+  const preview = runCli(homeDir, ['build', 'alpha-id', '--dry-run', '--overwrite']);
+  assert.match(preview.stdout, /Dry run: no changes/);
+
+  const doctorResult = runCli(homeDir, ['doctor']);
+  assert.match(doctorResult.stdout, /^Ignored template files: 3$/m);
+  assert.match(doctorResult.stdout, /^ {2}alpha-id\/TODO\.md \(alpha-id\/\.openclaw-templatesignore:1: TODO\.md\)$/m);
+  assert.match(doctorResult.stdout, /^ {2}alpha-id\/SOUL\.draft\.md \(\.openclaw-templatesignore:2: \*\.draft\.md\)$/m);
+  assert.match(doctorResult.stdout, /^ {2}alpha-id\/notes\/idea\.md \(\.openclaw-templatesignore:4: notes\/\)$/m);
+});
+
+test('includes add installs packs from folders, tarballs and git repos; update and remove follow the lockfile', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const lockPath = path.join(templatesDir, 'openclaw-templates-lock.json');
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const gitEnv = {
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+  };
+  const run = (command, args, cwd) => {
+    const result = spawnSync(command, args, {
+      cwd,
+      encoding: 'utf8',
+      env: { ...process.env, ...gitEnv, HOME: homeDir },
+    });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+  };
+
+  const teamDir = path.join(homeDir, 'team-pack');
+  fs.mkdirSync(teamDir);
+  fs.writeFileSync(path.join(teamDir, 'openclaw-pack.json'), '{ "name": "team", "version": "1.0.0" }\n', 'utf8');
+  fs.writeFileSync(path.join(teamDir, 'SAFETY.md'), 'Never share secrets.\n', 'utf8');
+  const added = runCli(homeDir, ['includes', 'add', teamDir]);
+  assert.match(added.stdout, /Installed @team 1\.0\.0 \(1 file\(s\)\)/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(lockPath, 'utf8')).packs.team.files, ['SAFETY.md']);
+  assert.match(runCli(homeDir, ['includes', 'add', teamDir], 1).stderr, /@team is already installed/);
+
+  fs.appendFileSync(path.join(templatesDir, 'alpha-id', 'SOUL.md'), '\n#include "../.includes/@team/SAFETY.md"\n');
+  runCli(homeDir, ['build', 'alpha-id']);
+  assert.match(fs.readFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'utf8'), /Never share secrets\./);
+
+  fs.writeFileSync(path.join(teamDir, 'openclaw-pack.json'), '{ "name": "team", "version": "1.1.0" }\n', 'utf8');
+  fs.writeFileSync(path.join(teamDir, 'SAFETY.md'), 'Never share secrets or tokens.\n', 'utf8');
+  fs.appendFileSync(path.join(templatesDir, '.includes', '@team', 'SAFETY.md'), 'Local edit.\n');
+  assert.match(runCli(homeDir, ['includes', 'update'], 1).stderr, /changed since they were installed/);
+  assert.match(runCli(homeDir, ['includes', 'update', '--force']).stdout, /updated {3}@team 1\.0\.0 -> 1\.1\.0/);
+  assert.match(runCli(homeDir, ['includes', 'update', 'team']).stdout, /unchanged @team 1\.1\.0/);
+  runCli(homeDir, ['build', 'alpha-id']);
+  assert.match(fs.readFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'utf8'), /Never share secrets or tokens\./);
+
+  fs.mkdirSync(path.join(homeDir, 'style-src', 'package'), { recursive: true });
+  fs.writeFileSync(path.join(homeDir, 'style-src', 'package', 'TONE.md'), 'Be brief.\n', 'utf8');
+  run('tar', ['-czf', path.join(homeDir, 'style.tgz'), '-C', path.join(homeDir, 'style-src'), 'package'], homeDir);
+  runCli(homeDir, ['includes', 'add', path.join(homeDir, 'style.tgz')]);
+  assert.equal(fs.readFileSync(path.join(templatesDir, '.includes', '@style', 'TONE.md'), 'utf8'), 'Be brief.\n');
+
+  const voiceDir = path.join(homeDir, 'voice');
+  fs.mkdirSync(voiceDir);
+  fs.writeFileSync(path.join(voiceDir, 'VOICE.md'), 'Speak plainly.\n', 'utf8');
+  run('git', ['init', '--quiet'], voiceDir);
+  run('git', ['add', '-A'], voiceDir);
+  run('git', ['commit', '--quiet', '-m', 'Add voice'], voiceDir);
+  run('git', ['tag', 'v1'], voiceDir);
+  runCli(homeDir, ['includes', 'add', `git+file://${voiceDir}#v1`, '--name', '@voice']);
+  const voice = JSON.parse(fs.readFileSync(lockPath, 'utf8')).packs.voice;
+  assert.equal(voice.type, 'git');
+  assert.equal(voice.ref, 'v1');
+  assert.equal(voice.commit, run('git', ['rev-parse', 'HEAD'], voiceDir).trim());
+
+  const listed = runCli(homeDir, ['includes', 'list']);
+  assert.match(listed.stdout, /@style unversioned .*style\.tgz {2}\(ok\)/);
+  assert.match(listed.stdout, /@voice [0-9a-f]{7} {2}file:\/\/.*#v1 {2}\(ok\)/);
+
+  const removed = runCli(homeDir, ['includes', 'remove', 'team']);
+  assert.match(removed.stderr, /@team is still included from alpha-id\/SOUL\.md:\d+/);
+  assert.equal(fs.existsSync(path.join(templatesDir, '.includes', '@team')), false);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(lockPath, 'utf8')).packs), ['style', 'voice']);
+
+  runCli(homeDir, ['init', '--force']);
+  assert.ok(fs.existsSync(path.join(templatesDir, '.includes', '@style', 'TONE.md')));
+  assert.match(runCli(homeDir, ['includes', 'list']).stdout, /@voice .*\(ok\)/);
+});
+
+test('capture writes workspace edits back into the agent template and shared includes', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const identityPath = path.join(alphaWorkspace, 'IDENTITY.md');
+  fs.appendFileSync(identityPath, 'Name: Zed\n', 'utf8');
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', 'NOTES.txt'), 'seed\n', 'utf8');
+  fs.writeFileSync(path.join(alphaWorkspace, 'NOTES.txt'), 'learned\n', 'utf8');
+
+  const preview = runCli(homeDir, ['capture', 'alpha-id']);
+  assert.match(preview.stdout, /^\+Name: Zed$/m);
+  assert.match(
+    preview.stdout,
+    /IDENTITY\.md:\d+ -> alpha-id\/\.includes\/IDENTITY\/NOTES\.md:\d+ \(overriding \.includes\/IDENTITY\/NOTES\.md\)/,
+  );
+  assert.match(preview.stdout, /--apply/);
+  assert.equal(fs.existsSync(path.join(templatesDir, 'alpha-id', '.includes')), false);
+
+  runCli(homeDir, ['capture', 'alpha-id', '--apply']);
+  const alphaNotesOverride = path.join(templatesDir, 'alpha-id', '.includes', 'IDENTITY', 'NOTES.md');
+  assert.match(fs.readFileSync(alphaNotesOverride, 'utf8'), /^Name: Zed$/m);
+  assert.match(fs.readFileSync(path.join(templatesDir, 'alpha-id', 'IDENTITY.md'), 'utf8'), /IDENTITY\/NOTES\.md/);
+  assert.doesNotMatch(fs.readFileSync(path.join(templatesDir, '.includes', 'IDENTITY', 'NOTES.md'), 'utf8'), /Zed/);
+  assert.equal(fs.readFileSync(path.join(templatesDir, 'alpha-id', 'NOTES.txt'), 'utf8'), 'learned\n');
+
+  const upToDate = runCli(homeDir, ['build', 'alpha-id', '--dry-run', '--overwrite']);
+  assert.match(upToDate.stdout, /Dry run: no changes/);
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, '.includes')), false);
+
+  const soulPath = path.join(alphaWorkspace, 'SOUL.md');
+  fs.writeFileSync(soulPath, fs.readFileSync(soulPath, 'utf8').replace('## Vibe', '## Vibe Check'), 'utf8');
+  runCli(homeDir, ['capture', 'alpha-id', '--apply', '--shared']);
+  assert.match(fs.readFileSync(path.join(templatesDir, '.includes', 'SOUL', 'VIBE.md'), 'utf8'), /^## Vibe Check$/m);
+});
+
+test('capture refuses changes to lines rendered from template variables', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatePath = path.join(homeDir, '.openclaw-templates', 'alpha-id', 'SOUL.md');
+  fs.writeFileSync(templatePath, '# Soul\n\nYou are {{agent.name}}.\n', 'utf8');
+  runCli(homeDir, ['build', 'alpha-id']);
+
+  const soulPath = path.join(homeDir, '.openclaw', 'workspace-alpha', 'SOUL.md');
+  fs.writeFileSync(soulPath, '# Soul\n\nYou are Zed.\n', 'utf8');
+
+  const result = runCli(homeDir, ['capture', 'alpha-id', '--apply'], 1);
+  assert.match(result.stderr, /Cannot capture alpha-id: SOUL\.md:3: change spans rendered variables/);
+  assert.equal(fs.readFileSync(templatePath, 'utf8'), '# Soul\n\nYou are {{agent.name}}.\n');
+});
+
+test('build records a manifest and refuses to overwrite drifted compiled files without --overwrite', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(alphaWorkspace, '.openclaw-templates-manifest.json'), 'utf8'),
+  );
+  assert.equal(manifest.files['SOUL.md'].source, 'alpha-id/SOUL.md');
+  assert.match(manifest.files['SOUL.md'].hash, /^sha256:[0-9a-f]{64}$/);
+  assert.ok(!Number.isNaN(Date.parse(manifest.files['SOUL.md'].builtAt)));
+
+  const soulPath = path.join(alphaWorkspace, 'SOUL.md');
+  fs.appendFileSync(soulPath, 'agent edit\n', 'utf8');
+  fs.appendFileSync(path.join(homeDir, '.openclaw-templates', '.includes', 'SOUL', 'FOOTER.md'), 'new\n', 'utf8');
+
+  const preview = runCli(homeDir, ['build', 'alpha-id', '--dry-run'], 1);
+  assert.match(preview.stdout, /Drifted since last build \(not overwritten without --overwrite\): SOUL\.md/);
+  assert.match(preview.stdout, /the build would fail on 1 drifted file\(s\) across 1 workspace\(s\)/);
+  assert.equal(JSON.parse(runCli(homeDir, ['--json', 'build', 'alpha-id', '--dry-run'], 1).stdout).totals.drifted, 1);
+
+  const refused = runCli(homeDir, ['build', 'alpha-id'], 1);
+  assert.match(refused.stderr, /Refusing to overwrite compiled files changed since the last build/);
+  assert.match(refused.stderr, /alpha-id: SOUL\.md/);
+  assert.match(fs.readFileSync(soulPath, 'utf8'), /agent edit\n$/);
+
+  runCli(homeDir, ['build', 'alpha-id', '--overwrite']);
+  assert.doesNotMatch(fs.readFileSync(soulPath, 'utf8'), /agent edit/);
+  runCli(homeDir, ['build', 'alpha-id']);
+});
+
+test('status reports in-sync, stale, drifted and missing files per agent', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  fs.appendFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'agent edit\n', 'utf8');
+  fs.appendFileSync(path.join(homeDir, '.openclaw-templates', '.includes', 'USER', 'FOOTER.md'), 'new\n', 'utf8');
+  fs.rmSync(path.join(alphaWorkspace, 'BOOT.md'));
+
+  const result = runCli(homeDir, ['status', 'alpha-id']);
+  assert.match(result.stdout, /^=== alpha-id /m);
+  assert.match(result.stdout, /^ {2}drifted +SOUL\.md$/m);
+  assert.match(result.stdout, /^ {2}stale +USER\.md$/m);
+  assert.match(result.stdout, /^ {2}missing +BOOT\.md$/m);
+  assert.match(result.stdout, /^ {2}in-sync +IDENTITY\.md$/m);
+  assert.match(result.stdout, /alpha-id: \d+ in-sync, 1 stale, 1 drifted, 1 missing/);
+});
+
+test('watch rebuilds only the agents and files that depend on a changed include', async (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+  runCli(homeDir, ['build', 'alpha-id']);
+  runCli(homeDir, ['build', 'beta-id']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  fs.writeFileSync(path.join(templatesDir, 'beta-id', 'SOUL.md'), '# Beta soul\n', 'utf8');
+
+  const watcher = startCli(t, homeDir, ['watch']);
+  await watcher.waitForOutput(/Watching .* for 3 agent\(s\)/);
+
+  fs.appendFileSync(path.join(templatesDir, '.includes', 'SOUL', 'VIBE.md'), 'Watched change\n', 'utf8');
+  let output = await watcher.waitForOutput(/Rebuilt main: SOUL\.md/);
+  output = await watcher.waitForOutput(/Rebuilt alpha-id: SOUL\.md/);
+  assert.doesNotMatch(output, /Rebuilt beta-id/);
+  assert.doesNotMatch(output, /Rebuilt alpha-id: (?!SOUL\.md)/);
+  assert.match(
+    fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'SOUL.md'), 'utf8'),
+    /^Watched change$/m,
+  );
+  const [snapshot] = JSON.parse(runCli(homeDir, ['--json', 'backups', 'alpha-id']).stdout).agents[0].snapshots;
+  assert.equal(snapshot.reason, 'watch');
+  assert.deepEqual(snapshot.files, ['SOUL.md', '.openclaw-templates-manifest.json']);
+
+  // A file that cannot be written is reported and the watcher keeps going.
+  fs.mkdirSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'NEW.md'));
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', 'NEW.md'), '# {{agent.name}}\n', 'utf8');
+  await watcher.waitForOutput(/Failed to rebuild alpha-id: NEW\.md: EISDIR/);
+
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', 'USER.md'), 'Hi {{agent.unknown}}\n', 'utf8');
+  await watcher.waitForOutput(/Failed to compile .*USER\.md: Unknown template variable/);
+
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', 'USER.md'), 'Hi {{agent.name}}\n', 'utf8');
+  await watcher.waitForOutput(/Rebuilt alpha-id: USER\.md/);
+  assert.equal(
+    fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'USER.md'), 'utf8'),
+    'Hi alpha-name\n',
+  );
+});
+
+test('graph reports include trees, orphans and DOT output', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  fs.appendFileSync(path.join(templatesDir, '.includes', 'USER', 'FOOTER.md'), '#include "../.includes/SOUL/VIBE.md"\n');
+  fs.writeFileSync(path.join(templatesDir, '.includes', 'UNUSED.md'), 'unused\n', 'utf8');
+
+  const text = runCli(homeDir, ['graph', 'alpha-id']);
+  assert.match(text.stdout, /^alpha-id\n {2}alpha-id\/BOOT\.md\n {4}\.includes\/BOOT\/HEADER\.md$/m);
+  assert.match(text.stdout, /^ {4}\.includes\/USER\/FOOTER\.md\n {6}\.includes\/SOUL\/VIBE\.md$/m);
+  assert.match(text.stdout, /^Orphaned includes \(\d+\):$/m);
+  assert.match(text.stdout, /^ {2}\.includes\/UNUSED\.md$/m);
+
+  const json = JSON.parse(runCli(homeDir, ['graph', '--format', 'json']).stdout);
+  assert.deepEqual(
+    json.agents.map((agent) => agent.id),
+    ['main', 'alpha-id', 'beta-id'],
+  );
+  const soul = json.agents[1].entrypoints.find((entrypoint) => entrypoint.file === 'alpha-id/SOUL.md');
+  assert.deepEqual(soul.includes[0], { file: '.includes/SOUL/HEADER.md', line: 1, includes: [] });
+  assert.ok(json.orphans.includes('.includes/UNUSED.md'));
+
+  const dot = runCli(homeDir, ['graph', 'beta-id', '--format', 'dot']);
+  assert.match(dot.stdout, /^digraph includes \{$/m);
+  assert.match(dot.stdout, /^ {2}"agent:beta-id" -> "beta-id\/SOUL\.md";$/m);
+  assert.match(dot.stdout, /^ {2}"\.includes\/USER\/FOOTER\.md" -> "\.includes\/SOUL\/VIBE\.md";$/m);
+
+  const invalid = runCli(homeDir, ['graph', '--format', 'xml'], 1);
+  assert.match(invalid.stderr, /Unknown graph format: xml/);
+});
+
+test('where-used lists every agent and include chain that references a fragment', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  fs.appendFileSync(path.join(templatesDir, '.includes', 'USER', 'FOOTER.md'), '#include "../.includes/SOUL/VIBE.md"\n');
+  fs.writeFileSync(path.join(templatesDir, 'beta-id', 'SOUL.md'), '# Beta soul\n', 'utf8');
+
+  const result = runCli(homeDir, ['where-used', 'SOUL/VIBE.md']);
+  assert.match(result.stdout, /^\.includes\/SOUL\/VIBE\.md is used by 3 agent\(s\):$/m);
+  assert.match(result.stdout, /^ {2}alpha-id: alpha-id\/SOUL\.md:\d+$/m);
+  assert.match(result.stdout, /^ {2}beta-id: beta-id\/USER\.md:\d+ -> \.includes\/USER\/FOOTER\.md:\d+$/m);
+  assert.doesNotMatch(result.stdout, /beta-id: beta-id\/SOUL\.md/);
+
+  fs.writeFileSync(path.join(templatesDir, '.includes', 'UNUSED.md'), 'unused\n', 'utf8');
+  const unused = runCli(homeDir, ['where-used', '.includes/UNUSED.md']);
+  assert.match(unused.stdout, /\.includes\/UNUSED\.md is not used by any agent\./);
+});
+
+test('upgrade three-way merges shipped templates into a customized templates directory', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const upstreamDir = path.join(templatesDir, '.upstream');
+  const soulIncludesDir = path.join(templatesDir, '.includes', 'SOUL');
+  const versions = JSON.parse(fs.readFileSync(path.join(upstreamDir, 'versions.json'), 'utf8'));
+  assert.ok(versions.files['.includes/SOUL/VIBE.md']);
+  assert.ok(versions.files['.base/SOUL.md']);
+
+  // Pretend the templates directory was initialized from an older release.
+  const shippedHeader = fs.readFileSync(path.join(soulIncludesDir, 'HEADER.md'), 'utf8');
+  const oldHeader = shippedHeader.replace("_You're not a chatbot. You're becoming someone._", '_Old tagline._');
+  const oldFooter = '---\n\n_Old footer._\n';
+  fs.writeFileSync(path.join(upstreamDir, '.includes', 'SOUL', 'VIBE.md'), '## Vibe\n\nOld vibe.\n', 'utf8');
+  fs.writeFileSync(path.join(soulIncludesDir, 'VIBE.md'), '## Vibe\n\nOld vibe.\n', 'utf8');
+  fs.writeFileSync(path.join(upstreamDir, '.includes', 'SOUL', 'HEADER.md'), oldHeader, 'utf8');
+  fs.writeFileSync(
+    path.join(soulIncludesDir, 'HEADER.md'),
+    oldHeader.replace('title: "SOUL.md Template"', 'title: "My SOUL"'),
+    'utf8',
+  );
+  fs.writeFileSync(path.join(upstreamDir, '.includes', 'SOUL', 'FOOTER.md'), oldFooter, 'utf8');
+  fs.writeFileSync(path.join(soulIncludesDir, 'FOOTER.md'), '---\n\n_My footer._\n', 'utf8');
+  fs.rmSync(path.join(upstreamDir, '.includes', 'SOUL', 'BOUNDARIES.md'));
+  fs.rmSync(path.join(soulIncludesDir, 'BOUNDARIES.md'));
+  fs.writeFileSync(
+    path.join(upstreamDir, 'versions.json'),
+    JSON.stringify({ packageVersion: '0.1.0', files: { ...versions.files, '.includes/SOUL/VIBE.md': '0.1.0' } }),
+    'utf8',
+  );
+
+  const dryRun = runCli(homeDir, ['upgrade', '--dry-run'], 2);
+  assert.match(dryRun.stdout, /^added +\.includes\/SOUL\/BOUNDARIES\.md$/m);
+  assert.match(dryRun.stdout, /^updated +\.includes\/SOUL\/VIBE\.md$/m);
+  assert.match(dryRun.stdout, /^merged +\.includes\/SOUL\/HEADER\.md$/m);
+  assert.match(dryRun.stdout, /^conflict +\.includes\/SOUL\/FOOTER\.md$/m);
+  assert.match(dryRun.stdout, /would apply 1 added, 1 updated, 1 merged, 1 conflict\(s\)/);
+  assert.equal(fs.existsSync(path.join(soulIncludesDir, 'BOUNDARIES.md')), false);
+
+  const result = runCli(homeDir, ['upgrade'], 1);
+  assert.match(result.stdout, /from 0\.1\.0 to \d+\.\d+\.\d+: 1 added, 1 updated, 1 merged, 1 conflict\(s\)\./);
+  assert.match(result.stderr, /Resolve the conflict markers/);
+  assert.ok(fs.existsSync(path.join(soulIncludesDir, 'BOUNDARIES.md')));
+  assert.doesNotMatch(fs.readFileSync(path.join(soulIncludesDir, 'VIBE.md'), 'utf8'), /Old vibe/);
+
+  const mergedHeader = fs.readFileSync(path.join(soulIncludesDir, 'HEADER.md'), 'utf8');
+  assert.match(mergedHeader, /title: "My SOUL"/);
+  assert.match(mergedHeader, /_You're not a chatbot\. You're becoming someone\._/);
+
+  const conflictedFooter = fs.readFileSync(path.join(soulIncludesDir, 'FOOTER.md'), 'utf8');
+  assert.match(conflictedFooter, /^<<<<<<< local\n_My footer\._\n=======\n_This file is yours/m);
+  assert.match(conflictedFooter, /^>>>>>>> upstream /m);
+
+  const upgradedVersions = JSON.parse(fs.readFileSync(path.join(upstreamDir, 'versions.json'), 'utf8'));
+  assert.equal(upgradedVersions.packageVersion, versions.packageVersion);
+  assert.equal(upgradedVersions.files['.includes/SOUL/VIBE.md'], versions.packageVersion);
+
+  const again = runCli(homeDir, ['upgrade']);
+  assert.match(again.stdout, /0 added, 0 updated, 0 merged, 0 conflict\(s\)/);
+});
+
+test('upgrade without an upstream baseline leaves customized files alone until --accept picks a side', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  // Template dirs created by older releases have no .upstream/ snapshot.
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const upstreamDir = path.join(templatesDir, '.upstream');
+  const footerPath = path.join(templatesDir, '.includes', 'SOUL', 'FOOTER.md');
+  fs.rmSync(upstreamDir, { recursive: true });
+  fs.writeFileSync(footerPath, '---\n\n_My footer._\n', 'utf8');
+
+  const dryRun = runCli(homeDir, ['upgrade', '--dry-run'], 2);
+  assert.match(dryRun.stdout, /^no-baseline +\.includes\/SOUL\/FOOTER\.md$/m);
+  assert.match(dryRun.stderr, /No upstream baseline for 1 customized file\(s\)\. Run `openclaw-templates init --force/);
+
+  const result = runCli(homeDir, ['upgrade'], 1);
+  assert.match(result.stdout, /0 added, 0 updated, 0 merged, 0 conflict\(s\)\./);
+  assert.match(result.stderr, /left unchanged\. .*`--accept theirs`.*`--accept ours`/);
+  assert.equal(fs.readFileSync(footerPath, 'utf8'), '---\n\n_My footer._\n');
+  assert.equal(fs.existsSync(upstreamDir), false);
+
+  const theirs = JSON.parse(runCli(homeDir, ['--json', 'upgrade', '--dry-run', '--accept', 'theirs'], 2).stdout);
+  assert.deepEqual(theirs.files, [{ path: '.includes/SOUL/FOOTER.md', status: 'updated' }]);
+
+  const ours = runCli(homeDir, ['upgrade', '--accept', 'ours']);
+  assert.match(ours.stdout, /^kept-locally +\.includes\/SOUL\/FOOTER\.md$/m);
+  assert.equal(fs.readFileSync(footerPath, 'utf8'), '---\n\n_My footer._\n');
+  assert.ok(fs.existsSync(path.join(upstreamDir, 'versions.json')));
+
+  const invalid = runCli(homeDir, ['upgrade', '--accept', 'mine'], 1);
+  assert.match(invalid.stderr, /Invalid --accept value: mine/);
+});
+
+test('build resolves agent-level include overrides and extends chains', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  runCli(homeDir, ['init']);
+
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+  const familyDir = path.join(templatesDir, 'family');
+  fs.mkdirSync(path.join(familyDir, '.includes', 'SOUL'), { recursive: true });
+  fs.writeFileSync(
+    path.join(familyDir, 'SOUL.md'),
+    '# {{agent.id}} soul\n\n#include "../.includes/SOUL/VIBE.md"\n#include "../.includes/SOUL/FOOTER.md"\n',
+    'utf8',
+  );
+  fs.writeFileSync(path.join(familyDir, '.includes', 'SOUL', 'FOOTER.md'), 'Family footer.\n', 'utf8');
+
+  for (const agentId of ['alpha-id', 'beta-id']) {
+    fs.rmSync(path.join(templatesDir, agentId, 'SOUL.md'));
+    fs.writeFileSync(path.join(templatesDir, agentId, '.template.json'), '{ "extends": "family" }\n', 'utf8');
+  }
+  fs.mkdirSync(path.join(templatesDir, 'alpha-id', '.includes', 'SOUL'), { recursive: true });
+  fs.writeFileSync(path.join(templatesDir, 'alpha-id', '.includes', 'SOUL', 'VIBE.md'), 'Alpha vibe.\n', 'utf8');
+
+  runCli(homeDir, ['build']);
+  const alphaWorkspace = path.join(homeDir, '.openclaw', 'workspace-alpha');
+  const alphaSoul = fs.readFileSync(path.join(alphaWorkspace, 'SOUL.md'), 'utf8');
+  assert.match(alphaSoul, /^# alpha-id soul$/m);
+  assert.match(alphaSoul, /^Alpha vibe\.$/m);
+  assert.match(alphaSoul, /^Family footer\.$/m);
+  assert.doesNotMatch(alphaSoul, /## Vibe/);
+
+  const betaSoul = fs.readFileSync(path.join(homeDir, '.openclaw', 'workspace-beta', 'SOUL.md'), 'utf8');
+  assert.match(betaSoul, /^# beta-id soul$/m);
+  assert.match(betaSoul, /^## Vibe$/m);
+  assert.match(betaSoul, /^Family footer\.$/m);
+  assert.ok(fs.existsSync(path.join(alphaWorkspace, 'IDENTITY.md')));
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, '.includes')), false);
+  assert.equal(fs.existsSync(path.join(alphaWorkspace, '.template.json')), false);
+
+  const graph = runCli(homeDir, ['graph', 'alpha-id']);
+  assert.match(graph.stdout, /^ {2}family\/SOUL\.md\n {4}alpha-id\/\.includes\/SOUL\/VIBE\.md\n {4}family\/\.includes\/SOUL\/FOOTER\.md$/m);
+
+  fs.writeFileSync(path.join(familyDir, '.template.json'), '{ "extends": "alpha-id" }\n', 'utf8');
+  const cycle = runCli(homeDir, ['build', 'alpha-id'], 1);
+  assert.match(cycle.stderr, /Circular template extends in .*: alpha-id -> family -> alpha-id/);
+});
+
 test('build selector supports only agent id or exact workspace path', (t) => {
   const homeDir = makeTempHome(t);
   const config = createDefaultConfig(homeDir);
@@ -460,3 +1709,103 @@ test('environment variables set default OpenClaw and templates directories', (t)
   assert.equal(fs.existsSync(path.join(homeDir, '.openclaw-templates')), false);
   assert.equal(fs.existsSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'AGENTS.md')), false);
 });
+
+test('programmatic API returns structured results and typed errors', async (t) => {
+  const api = require('..');
+  const homeDir = makeTempHome(t);
+  const openclawDir = path.join(homeDir, '.openclaw');
+  const templatesDir = path.join(homeDir, '.openclaw-templates');
+
+  await assert.rejects(api.doctor({ openclawDir, templatesDir }), (error) => {
+    assert.ok(error instanceof api.ConfigError);
+    assert.ok(error instanceof api.OpenclawTemplatesError);
+    assert.equal(error.code, 'OCLAWTPL_CONFIG');
+    assert.match(error.message, /Config file not found/);
+    return true;
+  });
+
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  const initResult = await api.init({ openclawDir, templatesDir });
+  assert.equal(initResult.templatesDir, templatesDir);
+  assert.deepEqual(
+    initResult.agents.map((agent) => [agent.id, agent.preset]),
+    [
+      ['main', 'default'],
+      ['alpha-id', 'default'],
+      ['beta-id', 'default'],
+    ],
+  );
+  assert.ok(initResult.files.includes('alpha-id/SOUL.md'));
+  assert.deepEqual(initResult.warnings, []);
+
+  await assert.rejects(api.init({ openclawDir, templatesDir }), { code: 'OCLAWTPL_TEMPLATES_DIR' });
+
+  const preview = await api.build({ openclawDir, templatesDir, workspace: 'alpha-id', dryRun: true });
+  assert.equal(preview.workspaces.length, 1);
+  assert.ok(preview.totals.pendingChanges > 0);
+  assert.match(preview.workspaces[0].diff, /\+\+\+ b\/SOUL\.md/);
+  assert.equal(fs.existsSync(path.join(homeDir, '.openclaw', 'workspace-alpha')), false);
+
+  const buildResult = await api.build({ openclawDir, templatesDir, workspace: 'alpha-id' });
+  const soul = buildResult.workspaces[0].files.find((file) => file.path === 'SOUL.md');
+  assert.deepEqual(soul, { path: 'SOUL.md', action: 'create', compiled: true });
+  assert.ok(fs.existsSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'SOUL.md')));
+
+  fs.appendFileSync(path.join(homeDir, '.openclaw', 'workspace-alpha', 'SOUL.md'), 'Edited by hand.\n');
+  await assert.rejects(api.build({ openclawDir, templatesDir, workspace: 'alpha-id' }), (error) => {
+    assert.ok(error instanceof api.DriftError);
+    assert.deepEqual(error.files, ['alpha-id: SOUL.md']);
+    return true;
+  });
+
+  await assert.rejects(api.build({ openclawDir, templatesDir, workspace: 'nope' }), { code: 'OCLAWTPL_USAGE' });
+});
+
+test('--json prints structured reports and errors; --quiet and --verbose adjust text output', (t) => {
+  const homeDir = makeTempHome(t);
+
+  const missing = runCli(homeDir, ['--json', 'doctor'], 1);
+  assert.equal(missing.stderr, '');
+  assert.equal(JSON.parse(missing.stdout).error.code, 'OCLAWTPL_CONFIG');
+
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  const doctorReport = JSON.parse(runCli(homeDir, ['doctor', '--json']).stdout);
+  assert.equal(doctorReport.ok, true);
+  assert.deepEqual(doctorReport.agents, ['main', 'alpha-id', 'beta-id']);
+
+  assert.equal(runCli(homeDir, ['--quiet', 'init']).stdout, '');
+
+  const preview = runCli(homeDir, ['--json', 'build', 'alpha-id', '--dry-run'], 2);
+  const previewReport = JSON.parse(preview.stdout);
+  assert.equal(previewReport.dryRun, true);
+  assert.equal(previewReport.workspaces[0].id, 'alpha-id');
+  assert.ok(previewReport.workspaces[0].files.some((file) => file.path === 'SOUL.md' && file.action === 'create'));
+
+  const verbose = runCli(homeDir, ['build', 'alpha-id', '--verbose']);
+  assert.match(verbose.stdout, /^ {2}create {4}alpha-id: SOUL\.md$/m);
+  assert.match(verbose.stdout, /Built \d+ files across 1 workspace\(s\)/);
+
+  const buildReport = JSON.parse(runCli(homeDir, ['--json', 'build', 'alpha-id']).stdout);
+  assert.equal(buildReport.totals.pendingChanges, 0);
+  assert.ok(buildReport.workspaces[0].files.every((file) => file.action === 'unchanged'));
+
+  const conflicting = runCli(homeDir, ['--quiet', '--verbose', 'status'], 1);
+  assert.match(conflicting.stderr, /--quiet and --verbose cannot be used together/);
+});
+
+test('unexpected errors are reported in the same text and --json shapes and exit 1', (t) => {
+  const homeDir = makeTempHome(t);
+  writeOpenclawConfig(homeDir, createDefaultConfig(homeDir));
+  fs.mkdirSync(path.join(homeDir, '.openclaw-templates'));
+  fs.writeFileSync(path.join(homeDir, '.openclaw-templates', '.includes'), 'not a directory\n', 'utf8');
+  fs.mkdirSync(path.join(homeDir, 'pack'));
+  fs.writeFileSync(path.join(homeDir, 'pack', 'SAFETY.md'), 'Be safe.\n', 'utf8');
+
+  const json = runCli(homeDir, ['--json', 'includes', 'add', path.join(homeDir, 'pack')], 1);
+  assert.equal(json.stderr, '');
+  assert.equal(JSON.parse(json.stdout).error.code, 'ENOTDIR');
+
+  const text = runCli(homeDir, ['includes', 'add', path.join(homeDir, 'pack')], 1);
+  assert.match(text.stderr, /^Unexpected error: ENOTDIR/);
+  assert.doesNotMatch(text.stderr, /^\s+at /m);
+});